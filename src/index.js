@@ -8,53 +8,29 @@
  */
 
 import { createServer } from 'http';
-import { registerRoutes } from './routes/api.js';
+import { registerRoutes, RAW_RESPONSE, API_INFO } from './routes/api.js';
+import { STATUS, apiError } from './routes/validation.js';
+import { cacheHeaders, isNotModified } from './routes/caching.js';
+import { negotiateEncoding, compress, MIN_COMPRESS_BYTES } from './routes/compression.js';
+import { splitFormat, negotiateFormat } from './routes/formats.js';
+import { Router } from './routes/router.js';
+import { getAllDays } from './services/resolver.js';
+import { validatePropersMapping } from './services/propers.js';
 
 const PORT = process.env.PORT || 3000;
-
-// ─── Simple Router ──────────────────────────────────────────────────────────
-
-class Router {
-  constructor() {
-    this.routes = [];
-  }
-
-  get(pattern, handler) {
-    // Convert Express-style :param patterns to regex
-    const paramNames = [];
-    const regexStr = pattern.replace(/:([a-zA-Z]+)/g, (_, name) => {
-      paramNames.push(name);
-      return '([^/]+)';
-    });
-    const regex = new RegExp(`^${regexStr}$`);
-    this.routes.push({ regex, paramNames, handler });
-  }
-
-  match(pathname) {
-    for (const route of this.routes) {
-      const m = pathname.match(route.regex);
-      if (m) {
-        const params = {};
-        route.paramNames.forEach((name, i) => {
-          params[name] = decodeURIComponent(m[i + 1]);
-        });
-        return { handler: route.handler, params };
-      }
-    }
-    return null;
-  }
-}
+const TIME_ZONE = process.env.TIME_ZONE || 'Europe/Helsinki';
 
 // ─── Server ─────────────────────────────────────────────────────────────────
 
 const router = new Router();
-registerRoutes(router);
+const registry = registerRoutes(router, { timeZone: TIME_ZONE });
 
 const server = createServer((req, res) => {
   // CORS headers
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-None-Match, If-Modified-Since');
+  res.setHeader('Access-Control-Expose-Headers', 'ETag, Last-Modified');
 
   if (req.method === 'OPTIONS') {
     res.writeHead(204);
@@ -62,8 +38,9 @@ const server = createServer((req, res) => {
     return;
   }
 
-  if (req.method !== 'GET') {
-    respond(res, 405, { error: 'Method not allowed' });
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.setHeader('Allow', 'GET, HEAD, OPTIONS');
+    respond(req, res, 405, apiError(405, 'method_not_allowed', 'Method not allowed'));
     return;
   }
 
@@ -76,65 +53,120 @@ const server = createServer((req, res) => {
   for (const [key, value] of url.searchParams) {
     query[key] = value;
   }
-
-  // Route matching
-  const match = router.match(pathname);
+  const pretty = query.pretty !== 'false';
+
+  // Route matching; a .txt, .md or .html suffix selects a document format
+  // on routes that have one
+  const suffixed = splitFormat(pathname);
+  let match = suffixed && router.match(suffixed.pathname);
+  let format = null;
+  if (match?.schema.document) {
+    format = suffixed.format;
+  } else {
+    match = router.match(pathname);
+    if (match?.schema.document) format = negotiateFormat(req.headers.accept);
+  }
 
   if (!match) {
     // Serve basic info at root
     if (pathname === '/' || pathname === '/api' || pathname === '/api/v1') {
-      respond(res, 200, {
-        name: 'Kirkkovuosi API',
-        version: '1.0.0',
-        description: 'Church year calendar and lectionary for the Evangelical-Lutheran Church of Finland',
+      respond(req, res, 200, {
+        name: API_INFO.title,
+        version: API_INFO.version,
+        description: API_INFO.description,
         source: 'Evankeliumikirja (Kirkkokäsikirja II, 2021)',
-        endpoints: [
-          'GET /api/v1/today — Current day info with propers',
-          'GET /api/v1/today/texts — Bible texts for today',
-          'GET /api/v1/today/texts?cycle=2 — Texts for specific year cycle',
-          'GET /api/v1/today/prayer — Prayer for today',
-          'GET /api/v1/today/prayer?n=2 — Specific prayer by number',
-          'GET /api/v1/today/gospel — Gospel reading for today',
-          'GET /api/v1/today/propers — Liturgical propers for today',
-          'GET /api/v1/date/:date — Info for a specific date (YYYY-MM-DD)',
-          'GET /api/v1/date/:date/color — Liturgical color for a date',
-          'GET /api/v1/date/:date/propers — Propers for a specific date',
-          'GET /api/v1/holy-day/:slug — Full data for a specific holy day',
-          'GET /api/v1/year/:year/calendar — Church year calendar',
-          'GET /api/v1/days — List all holy days',
-          'GET /api/v1/search/text?q=Matt.21 — Search by Bible reference',
-          'GET /api/v1/propers/prefaatiot — All preface endings by season',
-          'GET /api/v1/propers/kyrie-litaniat — Seasonal Kyrie litanies',
-          'GET /api/v1/propers/synninpaastot — Absolution texts',
-          'GET /api/v1/propers/kiitosrukoukset — Thanksgiving prayers',
-          'GET /api/v1/propers/kertosaakeet — Seasonal psalm refrains',
-          'GET /api/v1/propers/improperia — Good Friday Improperia',
-          'GET /api/v1/lectionary — Lectionary index metadata',
-          'GET /api/v1/lectionary/holy-days — All holy day names in the lectionary',
-          'GET /api/v1/lectionary/by-holy-day?q=pääsiäisyö — Readings for a holy day',
-          'GET /api/v1/lectionary/search?q=Matt.+5 — Search lectionary by Bible reference',
-        ],
-      });
+        openapi: '/api/v1/openapi.json',
+        endpoints: registry.map(({ pattern, schema }) => `GET ${pattern} — ${schema.summary}`),
+      }, { pretty });
       return;
     }
 
-    respond(res, 404, { error: 'Not found' });
+    respond(req, res, 404, apiError(404, 'not_found', `Not found: ${pathname}`));
+    return;
+  }
+
+  if (match.error) {
+    respond(req, res, 400, match.error, { pretty });
     return;
   }
 
   try {
-    const result = match.handler({ params: match.params, query });
-    const statusCode = result?.error ? 400 : 200;
-    respond(res, statusCode, result);
+    const result = match.handler({ params: match.params, query, format });
+    const { cache, document } = match.schema;
+    const vary = document ? 'Accept' : null;
+    if (result?.[RAW_RESPONSE]) {
+      send(req, res, 200, result.contentType, result.body, { cache, vary });
+      return;
+    }
+    const statusCode = result?.[STATUS] || 200;
+    respond(req, res, statusCode, result, { cache, pretty, vary });
   } catch (err) {
     console.error('Error handling request:', err);
-    respond(res, 500, { error: 'Internal server error' });
+    respond(req, res, 500, apiError(500, 'internal_error', 'Internal server error'));
   }
 });
 
-function respond(res, statusCode, data) {
-  res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
-  res.end(JSON.stringify(data, null, 2));
+/**
+ * Send data as JSON, indented unless `pretty` is false (?pretty=false).
+ */
+function respond(req, res, statusCode, data, { cache, pretty = true, vary } = {}) {
+  const body = JSON.stringify(data, null, pretty ? 2 : undefined);
+  send(req, res, statusCode, 'application/json; charset=utf-8', body, { cache, vary });
+}
+
+/**
+ * Send a response body. Successful responses get caching headers (see
+ * caching.js) and a conditional request that still matches gets 304;
+ * errors are not stored. Bodies are compressed when the client accepts
+ * it (see compression.js). HEAD requests get the headers only.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cache] - Cache policy, see caching.js
+ * @param {string} [options.vary] - Request header the body depends on besides Accept-Encoding
+ */
+function send(req, res, statusCode, contentType, body, { cache, vary } = {}) {
+  const encoding = Buffer.byteLength(body) >= MIN_COMPRESS_BYTES
+    ? negotiateEncoding(req.headers['accept-encoding'])
+    : null;
+  const headers = { 'Vary': vary ? `${vary}, Accept-Encoding` : 'Accept-Encoding' };
+
+  if (statusCode === 200) {
+    Object.assign(headers, cacheHeaders(body, cache, encoding));
+    if (isNotModified(req.headers, headers)) {
+      res.writeHead(304, headers);
+      res.end();
+      return;
+    }
+  } else {
+    headers['Cache-Control'] = 'no-store';
+  }
+
+  const payload = encoding ? compress(body, encoding) : body;
+  res.writeHead(statusCode, {
+    ...headers,
+    'Content-Type': contentType,
+    ...(encoding && { 'Content-Encoding': encoding }),
+    'Content-Length': Buffer.byteLength(payload),
+  });
+  res.end(req.method === 'HEAD' ? undefined : payload);
+}
+
+// Refuse to start with an unknown default time zone rather than failing
+// every "today" request
+try {
+  new Intl.DateTimeFormat('en', { timeZone: TIME_ZONE });
+} catch {
+  throw new Error(`Invalid TIME_ZONE: ${TIME_ZONE}. Use an IANA time zone, e.g. Europe/Helsinki.`);
+}
+
+// Refuse to start with a propers mapping that names unknown days or propers
+const propersCheck = validatePropersMapping(getAllDays());
+if (propersCheck.errors.length > 0) {
+  const list = propersCheck.errors.map(e => `${e.slug}: ${e.message}`).join('\n  ');
+  throw new Error(`Invalid data/propers-mapping.json:\n  ${list}`);
+}
+for (const day of propersCheck.unmapped) {
+  console.warn(`  ⚠ No propers mapping for ${day.slug} (${day.name})`);
 }
 
 server.listen(PORT, () => {
@@ -16,6 +16,8 @@
 
 import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
 import { join, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { parseReferences, formatReference } from '../services/references.js';
 
 // ─── Helpers ────────────────────────────────────────────────────────────────
 
@@ -254,32 +256,70 @@ function parseImproperia(lines) {
 
 // ─── Exsultet (Pääsiäisylistys) Parser ──────────────────────────────────────
 
-function parseExsultet(lines) {
-  const results = [];
+/**
+ * Parts by role marker: S is the congregation; E (or P, the priest, when
+ * no deacon or cantor is present) sings the Exsultet itself.
+ */
+const ROLE_PARTS = { E: 'deacon', P: 'deacon', S: 'congregation' };
 
-  // Find both versions (A and B)
-  for (const pattern of [/Pääsiäisylistys.*voidaan laulaa/]) {
-    const indices = [];
-    for (let i = 0; i < lines.length; i++) {
-      if (pattern.test(lines[i])) indices.push(i);
+/**
+ * Split a text with role markers ("E ...", "S ...") into sections.
+ * Lines before the first marker are returned as the introduction
+ * (rubrics).
+ */
+export function parseRoleSections(text) {
+  const intro = [];
+  const sections = [];
+
+  for (const line of text.split('\n')) {
+    const m = line.match(/^([EPS])\s+(\S.*)$/);
+    if (m) {
+      sections.push({ role: m[1], part: ROLE_PARTS[m[1]], lines: [m[2]] });
+    } else if (sections.length > 0) {
+      sections[sections.length - 1].lines.push(line);
+    } else {
+      intro.push(line);
     }
+  }
 
-    for (const start of indices) {
-      // Find end - next major section heading
-      let end = start + 1;
-      for (let i = start + 1; i < lines.length && i < start + 300; i++) {
-        if (/^#{2,3}\s|^\[?\]\{.*__RefHeading/.test(lines[i]) && i > start + 5) {
-          end = i;
-          break;
-        }
-      }
+  return {
+    intro: intro.join('\n').trim() || null,
+    sections: sections.map(({ role, part, lines }) => ({ role, part, text: lines.join('\n').trim() })),
+  };
+}
 
-      const raw = lines.slice(start, end).join('\n');
-      const text = cleanText(stripImages(raw));
-      if (text.length > 50) {
-        results.push(text);
+/**
+ * Parse both versions of the Exsultet. Each version starts at its
+ * heading ("Pääsiäisylistys A ... voidaan laulaa ...") and ends at the
+ * next section heading.
+ */
+export function parseExsultet(lines) {
+  const results = [];
+
+  // Find both versions (A and B)
+  const indices = [];
+  for (let i = 0; i < lines.length; i++) {
+    if (/Pääsiäisylistys.*voidaan laulaa/.test(lines[i])) indices.push(i);
+  }
+
+  for (const start of indices) {
+    // Find end - next major section heading
+    let end = start + 1;
+    for (let i = start + 1; i < lines.length && i < start + 300; i++) {
+      if (/^#{2,3}\s|^\[?\]\{.*__RefHeading/.test(lines[i]) && i > start + 5) {
+        end = i;
+        break;
       }
     }
+
+    const raw = lines.slice(start, end).join('\n');
+    const text = cleanText(stripImages(raw));
+    if (text.length <= 50) continue;
+
+    const [title] = text.split('\n');
+    const version = title.match(/Pääsiäisylistys\s+([AB])\b/)?.[1] || 'AB'[results.length];
+    const { intro, sections } = parseRoleSections(text.slice(title.length));
+    results.push({ version, title: title.trim(), intro, sections });
   }
 
   return results.length > 0 ? results : null;
@@ -486,6 +526,7 @@ function parseKertosaakeet(lines) {
       number: entries[e].number,
       title: entries[e].title,
       occasion,
+      references: parseReferences(occasion).map(formatReference),
       alternatives,
     });
   }
@@ -556,6 +597,10 @@ function main() {
   const improperia = parseImproperia(lines);
   console.log(`  Improperia: ${improperia ? 'found' : 'not found'}`);
 
+  console.log('Parsing Exsultet...');
+  const exsultet = parseExsultet(lines);
+  console.log(`  Exsultet: ${exsultet ? `versions ${exsultet.map(e => e.version).join(', ')}` : 'not found'}`);
+
   console.log('Parsing synninpäästöt...');
   const synninpaastot = parseSynninpaastot(lines);
   console.log(`  Found ${synninpaastot.length} absolutions`);
@@ -578,6 +623,7 @@ function main() {
     prefaatiot,
     kyrieLitaniat,
     improperia,
+    exsultet,
     synninpaastot,
     kiitosrukoukset,
     kiitosrukouksetEhtoollinen,
@@ -603,4 +649,7 @@ function main() {
   }
 }
 
-main();
+// Run only from the command line, not when imported by the tests
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main();
+}
@@ -12,6 +12,7 @@
 import { readFileSync, writeFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { getBook } from '../services/references.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const INPUT = join(__dirname, '..', 'data', 'lectionary-index.txt');
@@ -122,6 +123,7 @@ function flushPending() {
   if (occurrences.length > 0) {
     entries.push({
       book: currentBook,
+      bookId: getBook(currentAbbr)?.id || null,
       abbreviation: currentAbbr,
       section: currentSection,
       reference,
@@ -275,6 +277,7 @@ for (const entry of entries) {
     if (!byHolyDay[key]) byHolyDay[key] = [];
     byHolyDay[key].push({
       book: entry.book,
+      bookId: entry.bookId,
       abbreviation: entry.abbreviation,
       section: entry.section,
       reference: entry.reference,
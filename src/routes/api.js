@@ -2,42 +2,203 @@
  * API Routes for Kirkkovuosi API
  */
 
-import { resolveDate, getChurchYearCalendar, getDayData, getAllDays } from '../services/resolver.js';
-import { formatDate, makeDate, getYearCycle, getChurchYearStart, parseDate } from '../services/computus.js';
+import {
+  resolveDate, getChurchYearCalendar, getDayData, getAllDays, getOccurrences, resolveRange,
+  getSeasons, getSeasonEntries, getDateColor,
+} from '../services/resolver.js';
+import {
+  formatDate, makeDate, addDays, getYearCycle, getChurchYearStart, parseDate, todayInTimeZone,
+} from '../services/computus.js';
 import {
   getAllPrefaatiot, getAllKyrieLitaniat, getAllSynninpaastot,
-  getAllKiitosrukoukset, getAllKertosaakeet, getImproperia,
-  getPropers,
+  getAllKiitosrukoukset, getAllKiitosrukouksetEhtoollinen, getAllKertosaakeet, getImproperia, getExsultet,
+  getPropers, getPrefaatio, getPropersMapping, validatePropersMapping,
 } from '../services/propers.js';
 import {
-  getIndexMeta, getByHolyDay, searchByReference, getHolyDayNames,
+  getIndexMeta, getByHolyDay, searchByReference, searchByOverlap, getHolyDayNames,
 } from '../services/lectionary.js';
+import { getICalendar } from '../services/ical.js';
+import { getPrecedenceTable } from '../services/precedence.js';
+import { parseReference, parseReferences, referenceMatches, compareReferences, formatReference } from '../services/references.js';
+import { resolveOrthodoxDate, getOrthodoxYearCalendar } from '../services/orthodox.js';
+import { resolveColor, describeColor } from '../services/colors.js';
+import { dateDocument, holyDayDocument, renderDocument } from '../services/documents.js';
+import { getOrderOfService, ORDERS } from '../services/liturgy.js';
+import { buildOpenApi, ref, arrayOf, nullable, PARAMS, QUERY } from './openapi.js';
+import { validateRequest, badRequest, notFound, STATUS } from './validation.js';
+import { shapeResponse } from './shaping.js';
+import { FORMATS } from './formats.js';
+import { getDataModified } from './caching.js';
+
+/**
+ * API metadata, shared by the root listing and the OpenAPI document.
+ */
+export const API_INFO = {
+  title: 'Kirkkovuosi API',
+  version: '1.0.0',
+  description: 'Church year calendar and lectionary for the Evangelical-Lutheran Church of Finland',
+};
+
+/**
+ * Marks a handler result that is sent as-is instead of as JSON.
+ */
+export const RAW_RESPONSE = Symbol('rawResponse');
+
+/**
+ * Wrap a non-JSON response body for the server.
+ *
+ * @param {string} contentType - Content-Type header value
+ * @param {string} body
+ */
+export function rawResponse(contentType, body) {
+  return { [RAW_RESPONSE]: true, contentType, body };
+}
 
 /**
  * Register all routes on the HTTP server.
  * Uses a simple routing approach without external dependencies.
+ *
+ * @param {Object} routes - Router with a get(pattern, handler, schema) method
+ * @param {Object} [options]
+ * @param {string} [options.timeZone] - Default IANA time zone for "today"
+ * @returns {Array<{pattern: string, schema: Object}>} The registered routes with their schemas
  */
-export function registerRoutes(routes) {
+export function registerRoutes(routes, { timeZone = 'Europe/Helsinki' } = {}) {
+  const registry = [];
+
+  /**
+   * Register a GET route with its schema (see openapi.js). The request is
+   * validated against the schema before the handler runs. JSON routes
+   * also take ?fields=, ?include= and ?exclude= (see shaping.js) and
+   * ?pretty=, which the server applies when serializing. Routes with a
+   * `document` builder render their result as text, Markdown or HTML when
+   * the server passes a `format` (see formats.js).
+   */
+  const get = (pattern, schema, handler) => {
+    if (!schema.contentType) {
+      schema.query = [...(schema.query || []), QUERY.fields, QUERY.include, QUERY.exclude, QUERY.pretty];
+    }
+    registry.push({ pattern, schema });
+    routes.get(pattern, (req) => {
+      const error = validateRequest(schema, req) || checkTradition(schema, req);
+      if (error) return error;
+      const result = handler(req);
+      if (schema.contentType || result?.[STATUS]) return result;
+      if (req.format && schema.document) {
+        return rawResponse(FORMATS[req.format], renderDocument(schema.document(result), req.format));
+      }
+      return shapeResponse(result, req.query);
+    }, schema);
+  };
+
+  /**
+   * Reject ?tradition= other than lutheran on routes that do not declare
+   * it, rather than silently answering from the Lutheran calendar.
+   */
+  const checkTradition = (schema, req) => {
+    const value = req.query.tradition;
+    if (!value || value === 'lutheran' || schema.query?.includes(QUERY.tradition)) return null;
+    return badRequest(`?tradition=${value} is not supported by this route. Only the Lutheran calendar is available here.`, {
+      parameter: 'tradition', in: 'query', value,
+    });
+  };
+
+  /**
+   * Determine the date the /today routes refer to.
+   * ?date=YYYY-MM-DD (or the given parameter) wins; otherwise the current
+   * date in ?tz= or the default time zone.
+   */
+  const getToday = (req, param = 'date') => {
+    if (req.query[param]) return { date: req.query[param] };
+    const tz = req.query.tz || timeZone;
+    try {
+      return { date: todayInTimeZone(tz) };
+    } catch {
+      return { error: badRequest(`Invalid time zone: ${tz}`, { parameter: 'tz', in: 'query', value: tz }) };
+    }
+  };
+
+  /**
+   * Parse the search query for ?mode=overlap, which needs a Bible reference
+   * with at least a chapter.
+   */
+  const getOverlapQuery = (req) => {
+    if (req.query.mode !== 'overlap') return {};
+
+    const parsed = parseReference(req.query.q);
+    if (!parsed || parsed.ranges.length === 0) {
+      return {
+        error: badRequest('Overlap search needs a Bible reference with a chapter, e.g. ?q=Matt.+5:3', {
+          parameter: 'q', in: 'query', value: req.query.q,
+        }),
+      };
+    }
+    return { overlapQuery: parsed };
+  };
+
+  /**
+   * Determine the calendar tradition from ?tradition= (default lutheran).
+   */
+  const getTradition = (req) => req.query.tradition || 'lutheran';
+
+  /**
+   * Resolve a date in the requested tradition.
+   */
+  const resolveIn = (tradition, date) =>
+    tradition === 'orthodox' ? resolveOrthodoxDate(date) : resolveDate(date);
 
   // ─── GET /api/v1/today ──────────────────────────────────────────────
-  routes.get('/api/v1/today', (req) => {
-    const today = new Date();
-    const dateStr = formatDate(today);
-    return resolveDate(dateStr);
+  get('/api/v1/today', {
+    summary: 'Current day info with propers',
+    tag: 'Today',
+    cache: 'short',
+    query: [QUERY.date, QUERY.tz, QUERY.tradition],
+    response: ref('ResolvedDate'),
+    document: dateDocument,
+  }, (req) => {
+    const { date: today, error } = getToday(req);
+    if (error) return error;
+    const tradition = getTradition(req);
+    return resolveIn(tradition, today);
   });
 
   // ─── GET /api/v1/date/:date ─────────────────────────────────────────
-  routes.get('/api/v1/date/:date', (req) => {
+  get('/api/v1/date/:date', {
+    summary: 'Church calendar info for a date',
+    tag: 'Date',
+    cache: 'long',
+    params: [PARAMS.date],
+    query: [QUERY.tradition],
+    response: ref('ResolvedDate'),
+    document: dateDocument,
+  }, (req) => {
     const { date } = req.params;
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-      return { error: 'Invalid date format. Use YYYY-MM-DD.' };
-    }
-    return resolveDate(date);
+    const tradition = getTradition(req);
+    return resolveIn(tradition, date);
   });
 
   // ─── GET /api/v1/today/texts ────────────────────────────────────────
-  routes.get('/api/v1/today/texts', (req) => {
-    const today = formatDate(new Date());
+  get('/api/v1/today/texts', {
+    summary: 'Bible texts for today',
+    tag: 'Today',
+    cache: 'short',
+    query: [
+      QUERY.date, QUERY.tz,
+      { name: 'cycle', description: 'Year cycle instead of the one in force', schema: { type: 'integer', enum: [1, 2, 3] } },
+    ],
+    response: {
+      type: 'object',
+      properties: {
+        date: { type: 'string', format: 'date' },
+        yearCycle: { type: 'integer' },
+        texts: { anyOf: [{ type: 'object' }, { type: 'null' }] },
+        note: { type: 'string' },
+        precedingSunday: { anyOf: [ref('HolyDay'), { type: 'null' }] },
+      },
+    },
+  }, (req) => {
+    const { date: today, error } = getToday(req);
+    if (error) return error;
     const resolved = resolveDate(today);
     const cycle = req.query.cycle ? parseInt(req.query.cycle) : null;
 
@@ -54,8 +215,26 @@ export function registerRoutes(routes) {
   });
 
   // ─── GET /api/v1/today/prayer ───────────────────────────────────────
-  routes.get('/api/v1/today/prayer', (req) => {
-    const today = formatDate(new Date());
+  get('/api/v1/today/prayer', {
+    summary: 'Collect prayer for today',
+    tag: 'Today',
+    cache: 'short',
+    query: [
+      QUERY.date, QUERY.tz,
+      { name: 'n', description: 'Prayer number; random if omitted', schema: { type: 'integer', minimum: 1 } },
+    ],
+    response: {
+      type: 'object',
+      properties: {
+        date: { type: 'string', format: 'date' },
+        holyDay: { type: 'string' },
+        prayer: { anyOf: [{ type: 'object', properties: { number: { type: 'integer' }, text: { type: 'string' } } }, { type: 'null' }] },
+        totalPrayers: { type: 'integer' },
+      },
+    },
+  }, (req) => {
+    const { date: today, error } = getToday(req);
+    if (error) return error;
     const resolved = resolveDate(today);
 
     const day = resolved.holyDay || resolved.precedingSunday;
@@ -65,7 +244,12 @@ export function registerRoutes(routes) {
 
     // Return a random prayer, or specific if ?n= is given
     const n = req.query.n ? parseInt(req.query.n) : null;
-    if (n && n >= 1 && n <= day.prayers.length) {
+    if (n > day.prayers.length) {
+      return badRequest(`Invalid n. ${day.name} has ${day.prayers.length} prayers.`, {
+        parameter: 'n', in: 'query', value: req.query.n, max: day.prayers.length,
+      });
+    }
+    if (n) {
       return { date: today, holyDay: day.name, prayer: day.prayers[n - 1] };
     }
 
@@ -74,8 +258,23 @@ export function registerRoutes(routes) {
   });
 
   // ─── GET /api/v1/today/gospel ───────────────────────────────────────
-  routes.get('/api/v1/today/gospel', (req) => {
-    const today = formatDate(new Date());
+  get('/api/v1/today/gospel', {
+    summary: 'Gospel reading for today',
+    tag: 'Today',
+    cache: 'short',
+    query: [QUERY.date, QUERY.tz],
+    response: {
+      type: 'object',
+      properties: {
+        date: { type: 'string', format: 'date' },
+        holyDay: { type: ['string', 'null'] },
+        yearCycle: { type: 'integer' },
+        gospel: { anyOf: [ref('Reading'), { type: 'null' }] },
+      },
+    },
+  }, (req) => {
+    const { date: today, error } = getToday(req);
+    if (error) return error;
     const resolved = resolveDate(today);
 
     const day = resolved.holyDay || resolved.precedingSunday;
@@ -84,43 +283,337 @@ export function registerRoutes(routes) {
     return { date: today, holyDay: day?.name || null, yearCycle: resolved.churchYear.yearCycle, gospel };
   });
 
+  // ─── GET /api/v1/today/daily-texts ──────────────────────────────────
+  get('/api/v1/today/daily-texts', {
+    summary: 'Weekday readings for today',
+    tag: 'Today',
+    cache: 'short',
+    query: [QUERY.date, QUERY.tz],
+    response: ref('DailyTextsResponse'),
+  }, (req) => {
+    const { date: today, error } = getToday(req);
+    if (error) return error;
+    const resolved = resolveDate(today);
+    return { date: today, dayOfWeek: resolved.dayOfWeek, dailyTexts: resolved.dailyTexts };
+  });
+
+  // ─── GET /api/v1/date/:date/daily-texts ─────────────────────────────
+  get('/api/v1/date/:date/daily-texts', {
+    summary: 'Weekday readings for a date',
+    tag: 'Date',
+    cache: 'long',
+    params: [PARAMS.date],
+    response: ref('DailyTextsResponse'),
+  }, (req) => {
+    const { date } = req.params;
+    const resolved = resolveDate(date);
+    return { date, dayOfWeek: resolved.dayOfWeek, dailyTexts: resolved.dailyTexts };
+  });
+
   // ─── GET /api/v1/holy-day/:slug ─────────────────────────────────────
-  routes.get('/api/v1/holy-day/:slug', (req) => {
+  get('/api/v1/holy-day/:slug', {
+    summary: 'Full data for a holy day',
+    tag: 'Holy days',
+    params: [PARAMS.slug],
+    response: { type: 'object', description: 'Day data as parsed from the Evankeliumikirja' },
+    document: holyDayDocument,
+    notFound: true,
+  }, (req) => {
     const data = getDayData(req.params.slug);
     if (!data) {
-      return { error: `Holy day not found: ${req.params.slug}` };
+      return notFound(`Holy day not found: ${req.params.slug}`, { slug: req.params.slug });
     }
     return data;
   });
 
+  // ─── GET /api/v1/holy-day/:slug/dates ───────────────────────────────
+  // Next ?count= dates from ?from= (default today), plus ?past= earlier ones
+  get('/api/v1/holy-day/:slug/dates', {
+    summary: 'Next and previous dates of a holy day with year cycles',
+    tag: 'Holy days',
+    cache: 'short',
+    params: [PARAMS.slug],
+    query: [
+      { name: 'from', description: 'Start date (YYYY-MM-DD); defaults to today', schema: { type: 'string', format: 'date' } },
+      QUERY.tz,
+      { name: 'count', description: 'Number of upcoming dates', schema: { type: 'integer', minimum: 1, maximum: 50, default: 5 } },
+      { name: 'past', description: 'Number of earlier dates', schema: { type: 'integer', minimum: 0, maximum: 50, default: 0 } },
+    ],
+    response: {
+      type: 'object',
+      properties: {
+        slug: { type: 'string' },
+        name: { type: 'string' },
+        from: { type: 'string', format: 'date' },
+        next: arrayOf(ref('Occurrence')),
+        past: arrayOf(ref('Occurrence')),
+      },
+      required: ['slug', 'name', 'from', 'next', 'past'],
+    },
+    notFound: true,
+  }, (req) => {
+    const count = req.query.count ? parseInt(req.query.count) : 5;
+    const past = req.query.past ? parseInt(req.query.past) : 0;
+    const { date: from, error } = getToday(req, 'from');
+    if (error) return error;
+
+    const occurrences = getOccurrences(req.params.slug, from, { count, past });
+    if (!occurrences) {
+      return notFound(`Holy day not found: ${req.params.slug}`, { slug: req.params.slug });
+    }
+    return occurrences;
+  });
+
+  // ─── GET /api/v1/range ──────────────────────────────────────────────
+  get('/api/v1/range', {
+    summary: 'Every date in a window, resolved',
+    tag: 'Calendar',
+    cache: 'long',
+    query: [
+      { name: 'from', required: true, description: 'First date (YYYY-MM-DD)', example: '2026-03-29', schema: { type: 'string', format: 'date' } },
+      { name: 'to', required: true, description: 'Last date (YYYY-MM-DD), at most 366 days after from', example: '2026-04-06', schema: { type: 'string', format: 'date' } },
+    ],
+    response: {
+      type: 'object',
+      properties: {
+        from: { type: 'string', format: 'date' },
+        to: { type: 'string', format: 'date' },
+        count: { type: 'integer' },
+        days: arrayOf(ref('RangeDay')),
+      },
+      required: ['from', 'to', 'count', 'days'],
+    },
+  }, (req) => {
+    const { from, to } = req.query;
+    const days = (parseDate(to) - parseDate(from)) / 86400000 + 1;
+    if (days < 1) {
+      return badRequest('Invalid range. ?to= must not be before ?from=.', { from, to });
+    }
+    if (days > 366) {
+      return badRequest('Range too long. Use at most 366 days.', { from, to, days });
+    }
+    const resolved = resolveRange(from, to);
+    return { from, to, count: resolved.length, days: resolved };
+  });
+
+  // ─── GET /api/v1/week/:date ─────────────────────────────────────────
+  // The church week containing the date: Sunday to Saturday
+  get('/api/v1/week/:date', {
+    summary: 'Every day of the church week containing a date',
+    tag: 'Calendar',
+    cache: 'long',
+    params: [PARAMS.date],
+    response: {
+      type: 'object',
+      properties: {
+        date: { type: 'string', format: 'date' },
+        from: { type: 'string', format: 'date' },
+        to: { type: 'string', format: 'date' },
+        sunday: { type: ['string', 'null'] },
+        days: arrayOf(ref('RangeDay')),
+      },
+      required: ['date', 'from', 'to', 'days'],
+    },
+  }, (req) => {
+    const { date } = req.params;
+    const parsed = parseDate(date);
+    const from = addDays(parsed, -parsed.getUTCDay());
+    const to = addDays(from, 6);
+    const days = resolveRange(from, to);
+    return { date, from: formatDate(from), to: formatDate(to), sunday: days[0].holyDay?.name || null, days };
+  });
+
+  // ─── GET /api/v1/month/:month ───────────────────────────────────────
+  get('/api/v1/month/:month', {
+    summary: 'Every day of a month, resolved',
+    tag: 'Calendar',
+    cache: 'long',
+    params: [{ name: 'month', description: 'Month in YYYY-MM format', schema: { type: 'string', format: 'month' } }],
+    response: {
+      type: 'object',
+      properties: {
+        month: { type: 'string' },
+        from: { type: 'string', format: 'date' },
+        to: { type: 'string', format: 'date' },
+        count: { type: 'integer' },
+        days: arrayOf(ref('RangeDay')),
+      },
+      required: ['month', 'from', 'to', 'count', 'days'],
+    },
+  }, (req) => {
+    const { month } = req.params;
+    const [year, monthNumber] = month.split('-').map(Number);
+    const from = makeDate(year, monthNumber, 1);
+    const to = makeDate(year, monthNumber + 1, 0);
+    const days = resolveRange(from, to);
+    return { month, from: formatDate(from), to: formatDate(to), count: days.length, days };
+  });
+
   // ─── GET /api/v1/year/:year/calendar ────────────────────────────────
-  routes.get('/api/v1/year/:year/calendar', (req) => {
+  get('/api/v1/year/:year/calendar', {
+    summary: 'Church year calendar',
+    tag: 'Calendar',
+    cache: 'long',
+    params: [PARAMS.year],
+    query: [QUERY.tradition],
+    response: ref('Calendar'),
+  }, (req) => {
+    const year = parseInt(req.params.year);
+    const tradition = getTradition(req);
+    return tradition === 'orthodox' ? getOrthodoxYearCalendar(year) : getChurchYearCalendar(year);
+  });
+
+  // ─── GET /api/v1/year/:year/seasons ─────────────────────────────────
+  get('/api/v1/year/:year/seasons', {
+    summary: 'Seasons and periods with start and end dates',
+    tag: 'Calendar',
+    cache: 'long',
+    params: [PARAMS.year],
+    response: {
+      type: 'object',
+      properties: {
+        churchYear: ref('ChurchYear'),
+        seasons: arrayOf(ref('Season')),
+      },
+      required: ['churchYear', 'seasons'],
+    },
+  }, (req) => {
+    const year = parseInt(req.params.year);
+    return getSeasons(year);
+  });
+
+  // ─── GET /api/v1/year/:year/seasons/:season ─────────────────────────
+  get('/api/v1/year/:year/seasons/:season', {
+    summary: 'One season or period with its days',
+    tag: 'Calendar',
+    cache: 'long',
+    params: [PARAMS.year, { name: 'season', description: 'Season or period slug, e.g. paastonaika', schema: { type: 'string' } }],
+    response: {
+      type: 'object',
+      properties: {
+        churchYear: ref('ChurchYear'),
+        season: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            slug: { type: 'string' },
+            kind: { type: 'string', enum: ['jakso', 'aika'] },
+            start: { type: 'string', format: 'date' },
+            end: { type: 'string', format: 'date' },
+            periods: arrayOf(ref('Period')),
+            parent: { type: 'object', properties: { name: { type: 'string' }, slug: { type: 'string' } } },
+            days: arrayOf(ref('CalendarEntry')),
+          },
+          required: ['name', 'slug', 'kind', 'start', 'end', 'days'],
+        },
+      },
+      required: ['churchYear', 'season'],
+    },
+    notFound: true,
+  }, (req) => {
     const year = parseInt(req.params.year);
-    if (isNaN(year) || year < 1900 || year > 2100) {
-      return { error: 'Invalid year. Must be between 1900 and 2100.' };
+    const result = getSeasonEntries(year, req.params.season);
+    if (!result) {
+      return notFound(`Season not found: ${req.params.season}`, { season: req.params.season });
     }
-    return getChurchYearCalendar(year);
+    return result;
+  });
+
+  // ─── GET /api/v1/year/:year/calendar.ics ────────────────────────────
+  get('/api/v1/year/:year/calendar.ics', {
+    summary: 'Church year as an iCalendar feed',
+    tag: 'Calendar',
+    cache: 'long',
+    params: [PARAMS.year],
+    contentType: 'text/calendar',
+    response: { type: 'string' },
+  }, (req) => {
+    const year = parseInt(req.params.year);
+    return rawResponse('text/calendar; charset=utf-8', getICalendar([year], getDataModified()));
+  });
+
+  // ─── GET /api/v1/calendar.ics ───────────────────────────────────────
+  // Rolling feed: the current church year and the following ones
+  get('/api/v1/calendar.ics', {
+    summary: 'Rolling iCalendar feed from the current church year',
+    tag: 'Calendar',
+    cache: 'short',
+    query: [
+      { name: 'years', description: 'Number of church years', schema: { type: 'integer', minimum: 1, maximum: 10, default: 3 } },
+      QUERY.date, QUERY.tz,
+    ],
+    contentType: 'text/calendar',
+    response: { type: 'string' },
+  }, (req) => {
+    const years = req.query.years ? parseInt(req.query.years) : 3;
+    const { date: today, error } = getToday(req);
+    if (error) return error;
+
+    const start = getChurchYearStart(parseDate(today));
+    const startYears = Array.from({ length: years }, (_, i) => start + i);
+    return rawResponse('text/calendar; charset=utf-8', getICalendar(startYears, getDataModified()));
   });
 
   // ─── GET /api/v1/date/:date/color ───────────────────────────────────
-  routes.get('/api/v1/date/:date/color', (req) => {
+  get('/api/v1/date/:date/color', {
+    summary: 'Liturgical color for a date',
+    tag: 'Date',
+    cache: 'long',
+    params: [PARAMS.date],
+    query: [QUERY.tradition],
+    response: {
+      type: 'object',
+      properties: {
+        date: { type: 'string', format: 'date' },
+        liturgicalColor: { type: ['string', 'null'] },
+        holyDay: { type: ['string', 'null'] },
+        color: { anyOf: [ref('Color'), { type: 'null' }] },
+        alternatives: arrayOf(ref('Color')),
+        rule: { anyOf: [ref('ColorRule'), { type: 'null' }] },
+      },
+      required: ['date', 'liturgicalColor', 'holyDay', 'color', 'alternatives', 'rule'],
+    },
+  }, (req) => {
     const { date } = req.params;
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-      return { error: 'Invalid date format. Use YYYY-MM-DD.' };
+    const tradition = getTradition(req);
+
+    let holyDay = null;
+    let color = null;
+    if (tradition === 'orthodox') {
+      const resolved = resolveOrthodoxDate(date);
+      const day = resolved.holyDay || resolved.precedingSunday;
+      holyDay = day?.name || null;
+      color = day && resolveColor(day.liturgicalColor, parseDate(date), parseDate(day.date));
+    } else {
+      ({ holyDay, color } = getDateColor(date));
     }
 
-    const resolved = resolveDate(date);
-    const day = resolved.holyDay || resolved.precedingSunday;
-
     return {
       date,
-      liturgicalColor: day?.liturgicalColor || null,
-      holyDay: day?.name || null,
+      liturgicalColor: color?.fi || null,
+      holyDay,
+      color: color ? describeColor(color.id) : null,
+      alternatives: color?.alternatives || [],
+      rule: color?.rule || null,
     };
   });
 
   // ─── GET /api/v1/days ───────────────────────────────────────────────
-  routes.get('/api/v1/days', (req) => {
+  get('/api/v1/days', {
+    summary: 'List all holy days',
+    tag: 'Holy days',
+    response: arrayOf({
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        slug: { type: 'string' },
+        season: { type: 'string' },
+        period: { type: 'string' },
+        latinName: { type: ['string', 'null'] },
+        liturgicalColor: { type: ['string', 'null'] },
+      },
+    }),
+  }, (req) => {
     const allDays = getAllDays();
     return allDays.map(d => ({
       name: d.name,
@@ -132,12 +625,53 @@ export function registerRoutes(routes) {
     }));
   });
 
+  // ─── GET /api/v1/precedence ─────────────────────────────────────────
+  get('/api/v1/precedence', {
+    summary: 'Precedence table for days sharing a date',
+    tag: 'Holy days',
+    response: {
+      type: 'object',
+      properties: {
+        source: { type: 'string' },
+        classes: { type: 'object' },
+        typeClasses: { type: 'object' },
+        patterns: arrayOf({ type: 'object', properties: { match: { type: 'string' }, class: { type: 'string' } } }),
+        days: { type: 'object' },
+      },
+    },
+  }, (req) => {
+    return getPrecedenceTable();
+  });
+
   // ─── GET /api/v1/search/text ────────────────────────────────────────
-  routes.get('/api/v1/search/text', (req) => {
-    const q = (req.query.q || '').toLowerCase().trim();
-    if (!q) {
-      return { error: 'Query parameter ?q= is required.' };
-    }
+  get('/api/v1/search/text', {
+    summary: 'Search Sunday readings by Bible reference',
+    tag: 'Search',
+    query: [
+      { name: 'q', required: true, description: 'Bible reference or text', example: 'Matt.+21:1-9', schema: { type: 'string' } },
+      QUERY.mode,
+    ],
+    response: ref('TextSearchResponse'),
+  }, (req) => {
+    const q = req.query.q.toLowerCase().trim();
+
+    const { overlapQuery, error } = getOverlapQuery(req);
+    if (error) return error;
+
+    // Overlap mode: any shared verses. Otherwise a structured match when the
+    // query is a Bible reference, substring otherwise. Returns the extra
+    // result fields, or null if the reading does not match.
+    const parsed = parseReference(req.query.q);
+    const match = (reference) => {
+      if (overlapQuery) {
+        const overlap = parseReferences(reference).map(ref => compareReferences(ref, overlapQuery)).find(Boolean);
+        return overlap ? { overlap } : null;
+      }
+      const found = parsed
+        ? parseReferences(reference).some(ref => referenceMatches(ref, parsed))
+        : reference.toLowerCase().includes(q);
+      return found ? {} : null;
+    };
 
     const allDays = getAllDays();
     const results = [];
@@ -147,14 +681,16 @@ export function registerRoutes(routes) {
       if (day.yearCycles) {
         for (const [cycle, readings] of Object.entries(day.yearCycles)) {
           for (const key of ['firstReading', 'secondReading', 'gospel']) {
-            const ref = readings[key]?.reference?.toLowerCase();
-            if (ref && ref.includes(q)) {
+            const ref = readings[key]?.reference;
+            const extra = ref && match(ref);
+            if (extra) {
               results.push({
                 holyDay: day.name,
                 slug: day.slug,
                 yearCycle: parseInt(cycle),
                 readingType: key,
-                reference: readings[key].reference,
+                reference: ref,
+                ...extra,
               });
             }
           }
@@ -166,12 +702,14 @@ export function registerRoutes(routes) {
         for (const key of ['otReadings', 'ntReadings']) {
           if (day.weekdayTexts[key]) {
             for (const r of day.weekdayTexts[key]) {
-              if (r.reference?.toLowerCase().includes(q)) {
+              const extra = r.reference && match(r.reference);
+              if (extra) {
                 results.push({
                   holyDay: day.name,
                   slug: day.slug,
                   readingType: key,
                   reference: r.reference,
+                  ...extra,
                 });
               }
             }
@@ -180,102 +718,245 @@ export function registerRoutes(routes) {
       }
     }
 
-    return { query: q, count: results.length, results };
+    return {
+      query: q,
+      ...(parsed && { reference: formatReference(parsed) }),
+      mode: overlapQuery ? 'overlap' : 'match',
+      count: results.length,
+      results,
+    };
   });
 
   // ─── PROPERS ROUTES (Kirkkokäsikirja I) ─────────────────────────────
 
   // GET /api/v1/today/propers — Propers for today
-  routes.get('/api/v1/today/propers', (req) => {
-    const today = formatDate(new Date());
+  get('/api/v1/today/propers', {
+    summary: 'Liturgical propers for today',
+    tag: 'Propers',
+    cache: 'short',
+    query: [QUERY.date, QUERY.tz],
+    response: ref('PropersResponse'),
+  }, (req) => {
+    const { date: today, error } = getToday(req);
+    if (error) return error;
     const resolved = resolveDate(today);
     const day = resolved.holyDay || resolved.precedingSunday;
 
     if (!day?.propers && day?.slug) {
-      const data = getDayData(day.slug);
-      return { date: today, holyDay: day.name, propers: getPropers(day.slug, data) };
+      return { date: today, holyDay: day.name, propers: getPropers(day.slug), seasonalRules: day.seasonalRules };
     }
 
-    return { date: today, holyDay: day?.name || null, propers: day?.propers || null };
+    return { date: today, holyDay: day?.name || null, propers: day?.propers || null, seasonalRules: day?.seasonalRules || null };
   });
 
   // GET /api/v1/date/:date/propers — Propers for a specific date
-  routes.get('/api/v1/date/:date/propers', (req) => {
+  get('/api/v1/date/:date/propers', {
+    summary: 'Liturgical propers for a date',
+    tag: 'Propers',
+    cache: 'long',
+    params: [PARAMS.date],
+    response: ref('PropersResponse'),
+  }, (req) => {
     const { date } = req.params;
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-      return { error: 'Invalid date format. Use YYYY-MM-DD.' };
-    }
     const resolved = resolveDate(date);
     const day = resolved.holyDay || resolved.precedingSunday;
 
     if (day?.slug) {
-      const data = getDayData(day.slug);
-      return { date, holyDay: day.name, propers: getPropers(day.slug, data) };
+      return { date, holyDay: day.name, propers: getPropers(day.slug), seasonalRules: day.seasonalRules };
     }
 
-    return { date, holyDay: null, propers: null };
+    return { date, holyDay: null, propers: null, seasonalRules: null };
+  });
+
+  // GET /api/v1/date/:date/service — Order of service for a date
+  get('/api/v1/date/:date/service', {
+    summary: 'Order of service for a date',
+    tag: 'Propers',
+    cache: 'long',
+    params: [PARAMS.date],
+    query: [{
+      name: 'order',
+      description: 'messu: Holy Communion; sanajumalanpalvelus: Service of the Word',
+      schema: { type: 'string', enum: ORDERS, default: 'messu' },
+    }],
+    response: ref('OrderOfService'),
+  }, (req) => {
+    return getOrderOfService(req.params.date, req.query.order || 'messu');
   });
 
   // GET /api/v1/propers/prefaatiot — All preface endings
-  routes.get('/api/v1/propers/prefaatiot', (req) => {
+  get('/api/v1/propers/prefaatiot', {
+    summary: 'All preface endings by season',
+    tag: 'Propers',
+    response: { type: 'object', properties: { source: { type: 'string' }, prefaatiot: arrayOf({ type: 'object' }) } },
+  }, (req) => {
     return { source: 'Jumalanpalvelusten kirja (2000)', prefaatiot: getAllPrefaatiot() };
   });
 
   // GET /api/v1/propers/kyrie-litaniat — All seasonal Kyrie litanies
-  routes.get('/api/v1/propers/kyrie-litaniat', (req) => {
+  get('/api/v1/propers/kyrie-litaniat', {
+    summary: 'Seasonal Kyrie litanies',
+    tag: 'Propers',
+    response: { type: 'object', properties: { source: { type: 'string' }, kyrieLitaniat: arrayOf({ type: 'object' }) } },
+  }, (req) => {
     return { source: 'Jumalanpalvelusten kirja (2000)', kyrieLitaniat: getAllKyrieLitaniat() };
   });
 
   // GET /api/v1/propers/synninpaastot — All absolutions
-  routes.get('/api/v1/propers/synninpaastot', (req) => {
+  get('/api/v1/propers/synninpaastot', {
+    summary: 'Absolution texts',
+    tag: 'Propers',
+    response: { type: 'object', properties: { source: { type: 'string' }, synninpaastot: arrayOf({ type: 'object' }) } },
+  }, (req) => {
     return { source: 'Jumalanpalvelusten kirja (2000)', synninpaastot: getAllSynninpaastot() };
   });
 
   // GET /api/v1/propers/kiitosrukoukset — Thanksgiving prayers after absolution
-  routes.get('/api/v1/propers/kiitosrukoukset', (req) => {
+  get('/api/v1/propers/kiitosrukoukset', {
+    summary: 'Thanksgiving prayers',
+    tag: 'Propers',
+    response: { type: 'object', properties: { source: { type: 'string' }, kiitosrukoukset: arrayOf({ type: 'object' }) } },
+  }, (req) => {
     return { source: 'Jumalanpalvelusten kirja (2000)', kiitosrukoukset: getAllKiitosrukoukset() };
   });
 
+  // GET /api/v1/propers/kiitosrukoukset-ehtoollinen — Post-communion thanksgiving prayers
+  get('/api/v1/propers/kiitosrukoukset-ehtoollinen', {
+    summary: 'Seasonal post-communion thanksgiving prayers',
+    tag: 'Propers',
+    response: {
+      type: 'object',
+      properties: { source: { type: 'string' }, kiitosrukouksetEhtoollinen: arrayOf(ref('KiitosrukousEhtoollinen')) },
+    },
+  }, (req) => {
+    return { source: 'Jumalanpalvelusten kirja (2000)', kiitosrukouksetEhtoollinen: getAllKiitosrukouksetEhtoollinen() };
+  });
+
   // GET /api/v1/propers/kertosaakeet — Seasonal psalm refrains
-  routes.get('/api/v1/propers/kertosaakeet', (req) => {
+  get('/api/v1/propers/kertosaakeet', {
+    summary: 'Seasonal psalm refrains',
+    tag: 'Propers',
+    response: { type: 'object', properties: { source: { type: 'string' }, kertosaakeet: arrayOf({ type: 'object' }) } },
+  }, (req) => {
     return { source: 'Jumalanpalvelusten kirja (2000)', kertosaakeet: getAllKertosaakeet() };
   });
 
   // GET /api/v1/propers/improperia — Good Friday Improperia
-  routes.get('/api/v1/propers/improperia', (req) => {
+  get('/api/v1/propers/improperia', {
+    summary: 'Good Friday Improperia',
+    tag: 'Propers',
+    response: { type: 'object', properties: { source: { type: 'string' }, improperia: { type: ['string', 'null'] } } },
+  }, (req) => {
     return { source: 'Jumalanpalvelusten kirja (2000)', improperia: getImproperia() };
   });
 
+  // GET /api/v1/propers/exsultet — Easter Vigil Exsultet
+  get('/api/v1/propers/exsultet', {
+    summary: 'Easter Vigil Exsultet, versions A and B',
+    tag: 'Propers',
+    response: { type: 'object', properties: { source: { type: 'string' }, exsultet: nullable(arrayOf(ref('Exsultet'))) } },
+  }, (req) => {
+    return { source: 'Jumalanpalvelusten kirja (2000)', exsultet: getExsultet() };
+  });
+
   // ─── LECTIONARY INDEX (viikkolektionaarin_raamatunkohdat) ────────────
 
   // GET /api/v1/lectionary — Index metadata
-  routes.get('/api/v1/lectionary', (req) => {
+  get('/api/v1/lectionary', {
+    summary: 'Lectionary index metadata',
+    tag: 'Lectionary',
+    response: { type: 'object' },
+  }, (req) => {
     return getIndexMeta();
   });
 
   // GET /api/v1/lectionary/holy-days — List all holy day names in the index
-  routes.get('/api/v1/lectionary/holy-days', (req) => {
+  get('/api/v1/lectionary/holy-days', {
+    summary: 'All holy day names in the lectionary',
+    tag: 'Lectionary',
+    response: { type: 'object', properties: { holyDays: arrayOf({ type: 'string' }) }, required: ['holyDays'] },
+  }, (req) => {
     return { holyDays: getHolyDayNames() };
   });
 
   // GET /api/v1/lectionary/by-holy-day?q=pääsiäisyö — Readings for a holy day
-  routes.get('/api/v1/lectionary/by-holy-day', (req) => {
-    const q = (req.query.q || '').trim();
-    if (!q) {
-      return { error: 'Query parameter ?q= is required. Example: ?q=pääsiäisyö' };
-    }
+  get('/api/v1/lectionary/by-holy-day', {
+    summary: 'Readings for a holy day',
+    tag: 'Lectionary',
+    query: [{ name: 'q', required: true, description: 'Holy day name', example: 'pääsiäisyö', schema: { type: 'string' } }],
+    response: {
+      type: 'object',
+      properties: {
+        query: { type: 'string' },
+        matchedDays: { type: 'integer' },
+        count: { type: 'integer' },
+        results: { type: 'object', additionalProperties: arrayOf({ type: 'object' }) },
+      },
+    },
+  }, (req) => {
+    const q = req.query.q.trim();
     const results = getByHolyDay(q);
     const count = Object.values(results).reduce((n, arr) => n + arr.length, 0);
     return { query: q, matchedDays: Object.keys(results).length, count, results };
   });
 
   // GET /api/v1/lectionary/search?q=Matt.+5 — Search by Bible reference
-  routes.get('/api/v1/lectionary/search', (req) => {
-    const q = (req.query.q || '').trim();
-    if (!q) {
-      return { error: 'Query parameter ?q= is required. Example: ?q=Matt.+5' };
-    }
-    const results = searchByReference(q);
-    return { query: q, count: results.length, results };
+  get('/api/v1/lectionary/search', {
+    summary: 'Search lectionary by Bible reference',
+    tag: 'Lectionary',
+    query: [
+      { name: 'q', required: true, description: 'Bible reference or book', example: 'Matt.+5', schema: { type: 'string' } },
+      QUERY.mode,
+    ],
+    response: {
+      type: 'object',
+      properties: {
+        query: { type: 'string' },
+        reference: { type: 'string' },
+        mode: { type: 'string', enum: ['match', 'overlap'] },
+        count: { type: 'integer' },
+        results: arrayOf(ref('LectionaryEntry')),
+      },
+      required: ['query', 'mode', 'count', 'results'],
+    },
+  }, (req) => {
+    const q = req.query.q.trim();
+    const { overlapQuery, error } = getOverlapQuery(req);
+    if (error) return error;
+
+    const results = overlapQuery ? searchByOverlap(overlapQuery) : searchByReference(q);
+    const parsed = parseReference(q);
+    return {
+      query: q,
+      ...(parsed && { reference: formatReference(parsed) }),
+      mode: overlapQuery ? 'overlap' : 'match',
+      count: results.length,
+      results,
+    };
   });
+
+  // ─── GET /api/v1/diagnostics/propers ────────────────────────────────
+  get('/api/v1/diagnostics/propers', {
+    summary: 'Check the propers mapping against the holy days and propers',
+    tag: 'Meta',
+    response: ref('PropersDiagnostics'),
+  }, (req) => {
+    const days = getAllDays();
+    const { mapped, unmapped, errors } = validatePropersMapping(days);
+    const withoutPrefaatio = [...new Map(days.map(day => [day.slug, day.name]))]
+      .filter(([slug]) => getPropersMapping(slug) && !getPrefaatio(slug))
+      .map(([slug, name]) => ({ slug, name }));
+    return { mapped, unmapped, errors, withoutPrefaatio };
+  });
+
+  // ─── GET /api/v1/openapi.json ───────────────────────────────────────
+  get('/api/v1/openapi.json', {
+    summary: 'OpenAPI 3.1 description of this API',
+    tag: 'Meta',
+    response: { type: 'object' },
+  }, (req) => {
+    return buildOpenApi(registry, API_INFO);
+  });
+
+  return registry;
 }
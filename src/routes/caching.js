@@ -0,0 +1,108 @@
+/**
+ * HTTP caching for Kirkkovuosi API.
+ *
+ * Answers depend only on the request and the data files, except for the
+ * /today routes, which also depend on the current date. Each route schema
+ * names a cache policy (see CACHE_CONTROL); responses carry a strong ETag
+ * computed from the body, so a conditional request gets 304 Not Modified
+ * until either the data or the day changes.
+ */
+
+import { createHash } from 'crypto';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = join(__dirname, '..', 'data');
+
+/**
+ * Cache-Control values by policy name.
+ *
+ * - `long`: answers for a fixed date or year, which change only with the data
+ * - `short`: answers about "today"
+ * - `default`: other lookups of the data
+ */
+export const CACHE_CONTROL = {
+  long: 'public, max-age=604800',
+  short: 'public, max-age=300',
+  default: 'public, max-age=3600',
+};
+
+let dataModified = null;
+
+/**
+ * Modification time of the data, as recorded in data/version.json. Unlike
+ * the file times, it stays the same across checkouts and deploys.
+ *
+ * @returns {Date}
+ */
+export function getDataModified() {
+  if (dataModified) return dataModified;
+  const raw = readFileSync(join(DATA_DIR, 'version.json'), 'utf-8');
+  dataModified = new Date(JSON.parse(raw).modified);
+  return dataModified;
+}
+
+/**
+ * Strong entity tag of a response body.
+ *
+ * A compressed body is a different representation, so its tag carries
+ * the content coding.
+ *
+ * @param {string|Buffer} body - Uncompressed body
+ * @param {string|null} [encoding] - Content coding, e.g. `gzip`
+ * @returns {string} e.g. `"3q2-7w"` or `"3q2-7w-gzip"`
+ */
+export function entityTag(body, encoding = null) {
+  const hash = createHash('sha1').update(body).digest('base64url');
+  return `"${hash}${encoding ? `-${encoding}` : ''}"`;
+}
+
+/**
+ * Caching headers of a successful response.
+ *
+ * Last-Modified is only sent for answers that depend on nothing but the
+ * data; an answer about "today" changes at midnight without the data
+ * changing.
+ *
+ * @param {string|Buffer} body - Uncompressed body
+ * @param {string} [policy='default'] - Key of CACHE_CONTROL
+ * @param {string|null} [encoding] - Content coding of the response
+ * @returns {Object} Response headers
+ */
+export function cacheHeaders(body, policy = 'default', encoding = null) {
+  return {
+    'Cache-Control': CACHE_CONTROL[policy],
+    'ETag': entityTag(body, encoding),
+    ...(policy !== 'short' && { 'Last-Modified': getDataModified().toUTCString() }),
+  };
+}
+
+/**
+ * Whether a conditional request can be answered with 304 Not Modified.
+ *
+ * If-None-Match takes precedence over If-Modified-Since (RFC 9110, 13.2.2).
+ *
+ * @param {Object} requestHeaders - Incoming headers (lower-case names)
+ * @param {Object} headers - Headers of the response, see cacheHeaders()
+ * @returns {boolean}
+ */
+export function isNotModified(requestHeaders, headers) {
+  const ifNoneMatch = requestHeaders['if-none-match'];
+  if (ifNoneMatch) {
+    if (ifNoneMatch.trim() === '*') return true;
+    return ifNoneMatch
+      .split(',')
+      .map(tag => tag.trim().replace(/^W\//, ''))
+      .includes(headers.ETag);
+  }
+
+  const ifModifiedSince = requestHeaders['if-modified-since'];
+  if (ifModifiedSince && headers['Last-Modified']) {
+    const since = Date.parse(ifModifiedSince);
+    return !Number.isNaN(since) && Date.parse(headers['Last-Modified']) <= since;
+  }
+
+  return false;
+}
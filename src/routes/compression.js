@@ -0,0 +1,83 @@
+/**
+ * Response compression for Kirkkovuosi API.
+ *
+ * Bodies are compressed with the built-in zlib when the client accepts
+ * brotli or gzip. All responses are text (JSON or iCalendar), so every
+ * body above a small threshold is worth compressing.
+ */
+
+import { brotliCompressSync, gzipSync, constants } from 'zlib';
+
+/**
+ * Bodies smaller than this are sent as-is.
+ */
+export const MIN_COMPRESS_BYTES = 1024;
+
+/**
+ * Supported encodings, in order of preference.
+ */
+const ENCODINGS = ['br', 'gzip'];
+
+/**
+ * Parse an Accept-Encoding header into quality values by coding.
+ *
+ * @param {string} header - e.g. "gzip, deflate, br;q=0.9"
+ * @returns {Map<string, number>}
+ */
+function parseAcceptEncoding(header) {
+  const qualities = new Map();
+  for (const part of header.split(',')) {
+    const [coding, ...params] = part.trim().toLowerCase().split(';');
+    if (!coding) continue;
+    const q = params.map(p => p.trim().match(/^q=([\d.]+)$/)).find(Boolean);
+    qualities.set(coding, q ? Number(q[1]) : 1);
+  }
+  return qualities;
+}
+
+/**
+ * Choose the content coding for a response.
+ *
+ * The encoding with the highest quality wins; on a tie brotli is
+ * preferred. `*` stands for any encoding not listed.
+ *
+ * @param {string} [acceptEncoding] - Accept-Encoding request header
+ * @returns {string|null} `br`, `gzip`, or null for no compression
+ */
+export function negotiateEncoding(acceptEncoding) {
+  if (!acceptEncoding) return null;
+  const qualities = parseAcceptEncoding(acceptEncoding);
+
+  let best = null;
+  let bestQ = 0;
+  for (const encoding of ENCODINGS) {
+    const q = qualities.get(encoding) ?? qualities.get('*') ?? 0;
+    if (q > bestQ) {
+      best = encoding;
+      bestQ = q;
+    }
+  }
+  return best;
+}
+
+/**
+ * Compress a response body.
+ *
+ * Brotli runs at a middle quality: the highest levels are too slow for
+ * bodies generated per request.
+ *
+ * @param {string|Buffer} body
+ * @param {string} encoding - `br` or `gzip`
+ * @returns {Buffer}
+ */
+export function compress(body, encoding) {
+  if (encoding === 'br') {
+    return brotliCompressSync(body, {
+      params: {
+        [constants.BROTLI_PARAM_QUALITY]: 5,
+        [constants.BROTLI_PARAM_MODE]: constants.BROTLI_MODE_TEXT,
+      },
+    });
+  }
+  return gzipSync(body);
+}
@@ -0,0 +1,69 @@
+/**
+ * Document formats for Kirkkovuosi API.
+ *
+ * Routes that can render a day as a document (see services/documents.js)
+ * answer in plain text, Markdown or HTML when the path has a `.txt`, `.md`
+ * or `.html` suffix, or when the Accept header asks for one of these
+ * types. JSON stays the default.
+ */
+
+/**
+ * Content types by format.
+ */
+export const FORMATS = {
+  txt: 'text/plain; charset=utf-8',
+  md: 'text/markdown; charset=utf-8',
+  html: 'text/html; charset=utf-8',
+};
+
+/**
+ * Formats by media type. JSON comes first so that it wins a tie.
+ */
+const MEDIA_TYPES = [
+  ['application/json', null],
+  ['text/plain', 'txt'],
+  ['text/markdown', 'md'],
+  ['text/html', 'html'],
+];
+
+/**
+ * Split a format suffix off a path.
+ *
+ * @param {string} pathname - e.g. /api/v1/date/2026-04-05.md
+ * @returns {{pathname: string, format: string}|null} e.g. `{ pathname: '/api/v1/date/2026-04-05', format: 'md' }`
+ */
+export function splitFormat(pathname) {
+  const m = pathname.match(/^(.+)\.(txt|md|html)$/);
+  return m ? { pathname: m[1], format: m[2] } : null;
+}
+
+/**
+ * Choose a document format from an Accept header.
+ *
+ * Only media types named explicitly count, so wildcards keep the default
+ * JSON. A browser, which asks for text/html, gets the HTML page.
+ *
+ * @param {string} [accept] - Accept request header
+ * @returns {string|null} `txt`, `md`, `html`, or null for JSON
+ */
+export function negotiateFormat(accept) {
+  if (!accept) return null;
+
+  const qualities = new Map();
+  for (const part of accept.split(',')) {
+    const [type, ...params] = part.trim().toLowerCase().split(';');
+    const q = params.map(p => p.trim().match(/^q=([\d.]+)$/)).find(Boolean);
+    qualities.set(type.trim(), q ? Number(q[1]) : 1);
+  }
+
+  let best = null;
+  let bestQ = 0;
+  for (const [type, format] of MEDIA_TYPES) {
+    const q = qualities.get(type) ?? 0;
+    if (q > bestQ) {
+      best = format;
+      bestQ = q;
+    }
+  }
+  return best;
+}
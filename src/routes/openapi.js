@@ -0,0 +1,584 @@
+/**
+ * OpenAPI description for Kirkkovuosi API.
+ *
+ * Every route registers a schema alongside its handler (see api.js):
+ *
+ *   { summary, tag, params, query, response, contentType, notFound, cache, document }
+ *
+ * `params` and `query` are lists of parameter objects (the shared ones are
+ * in PARAMS and QUERY below), `response` is a JSON Schema, usually a
+ * reference to one of the component schemas, `notFound` marks routes
+ * that answer 404 for an unknown resource, `cache` names the cache
+ * policy of the route (see caching.js) and `document` builds a printable
+ * document from the result (see formats.js). The OpenAPI 3.1 document, the
+ * endpoint listing at /api and request validation (see validation.js) are
+ * all driven by these schemas.
+ */
+
+import { SECTIONS } from './shaping.js';
+import { FORMATS } from './formats.js';
+
+/**
+ * Reference a component schema.
+ *
+ * @param {string} name - Key in SCHEMAS
+ */
+export function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+/**
+ * Array of a schema.
+ */
+export function arrayOf(items) {
+  return { type: 'array', items };
+}
+
+/**
+ * A schema or null.
+ */
+export function nullable(schema) {
+  return { anyOf: [schema, { type: 'null' }] };
+}
+
+const string = (description) => ({ type: 'string', ...(description && { description }) });
+const integer = (description) => ({ type: 'integer', ...(description && { description }) });
+const date = { type: 'string', format: 'date' };
+
+// ─── Parameters ─────────────────────────────────────────────────────────────
+
+/**
+ * Path parameters shared by several routes.
+ */
+export const PARAMS = {
+  date: { name: 'date', description: 'Date in YYYY-MM-DD format', schema: date },
+  year: {
+    name: 'year',
+    description: 'Year in which the church year begins',
+    schema: { type: 'integer', minimum: 1900, maximum: 2100 },
+  },
+  slug: { name: 'slug', description: 'Holy day slug, e.g. joulupaiva', schema: string() },
+};
+
+/**
+ * Query parameters shared by several routes.
+ */
+export const QUERY = {
+  date: { name: 'date', description: 'Date to use instead of today (YYYY-MM-DD)', schema: date },
+  tz: { name: 'tz', description: 'IANA time zone for "today", e.g. Europe/Stockholm', schema: string() },
+  // Declared by the routes that resolve dates in either tradition:
+  // /today, /date/:date, /date/:date/color and /year/:year/calendar. The
+  // other routes answer 400 to any tradition but lutheran (see api.js).
+  tradition: {
+    name: 'tradition',
+    description: 'Calendar tradition. Routes without this parameter only have the Lutheran calendar and reject other traditions.',
+    schema: { type: 'string', enum: ['lutheran', 'orthodox'], default: 'lutheran' },
+  },
+  fields: {
+    name: 'fields',
+    description: 'Comma-separated dot paths to keep',
+    example: 'holyDay.name,holyDay.liturgicalColor',
+    schema: { type: 'string', pattern: '^[\\w-]+(\\.[\\w-]+)*(,[\\w-]+(\\.[\\w-]+)*)*$' },
+  },
+  include: {
+    name: 'include',
+    description: 'Sections to keep; the other sections are left out',
+    style: 'form',
+    explode: false,
+    schema: { type: 'array', items: { type: 'string', enum: SECTIONS } },
+  },
+  exclude: {
+    name: 'exclude',
+    description: 'Sections to leave out',
+    style: 'form',
+    explode: false,
+    schema: { type: 'array', items: { type: 'string', enum: SECTIONS } },
+  },
+  pretty: {
+    name: 'pretty',
+    description: 'Indent the JSON response; false for compact output',
+    schema: { type: 'boolean', default: true },
+  },
+  mode: {
+    name: 'mode',
+    description: 'match: same passage; overlap: any shared verses',
+    schema: { type: 'string', enum: ['match', 'overlap'], default: 'match' },
+  },
+};
+
+// ─── Component Schemas ──────────────────────────────────────────────────────
+
+const CHURCH_YEAR = {
+  type: 'object',
+  properties: {
+    start: integer('Year in which the church year begins'),
+    label: string('e.g. 2025–2026'),
+    yearCycle: { type: 'integer', enum: [1, 2, 3] },
+  },
+  required: ['start', 'label'],
+};
+
+const PRECEDENCE = {
+  type: 'object',
+  properties: {
+    class: string(),
+    rank: integer(),
+    outcome: { type: 'string', enum: ['celebrated', 'transferred', 'displaced', 'additional', 'commemorated'] },
+    reason: string(),
+    note: string(),
+  },
+  required: ['class', 'rank', 'outcome', 'reason'],
+};
+
+const READING = {
+  type: 'object',
+  properties: {
+    reference: string('Bible reference'),
+    bookIntro: string(),
+    text: string(),
+  },
+};
+
+const DAY_SUMMARY = {
+  type: 'object',
+  properties: {
+    name: string(),
+    slug: string(),
+    type: string(),
+    liturgicalColor: nullable(string('Color text of the Evankeliumikirja')),
+    transferred: { type: 'object' },
+    precedence: ref('Precedence'),
+  },
+  required: ['name', 'slug', 'type'],
+};
+
+/**
+ * Component schemas of the OpenAPI document.
+ */
+export const SCHEMAS = {
+  Error: {
+    type: 'object',
+    properties: {
+      error: {
+        type: 'object',
+        properties: {
+          code: {
+            type: 'string',
+            enum: ['invalid_parameter', 'missing_parameter', 'not_found', 'method_not_allowed', 'internal_error'],
+          },
+          message: string('Human-readable message'),
+          details: { type: 'object', description: 'What was wrong, e.g. parameter, in and value' },
+        },
+        required: ['code', 'message'],
+      },
+    },
+    required: ['error'],
+  },
+  ChurchYear: CHURCH_YEAR,
+  Precedence: PRECEDENCE,
+  Reading: READING,
+  Color: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', enum: ['white', 'violet', 'blue', 'green', 'red', 'black', 'gold'] },
+      fi: string(),
+      en: string(),
+      sv: string(),
+      hex: { type: 'string', pattern: '^#[0-9A-F]{6}$' },
+    },
+    required: ['id', 'fi', 'en', 'sv', 'hex'],
+  },
+  ColorRule: {
+    type: 'object',
+    properties: {
+      text: string(),
+      primary: string(),
+      alternatives: arrayOf(string()),
+      weekdays: nullable({
+        type: 'object',
+        properties: { primary: string(), alternatives: arrayOf(string()) },
+      }),
+      note: nullable(string()),
+    },
+  },
+  DailyTexts: {
+    type: 'object',
+    properties: {
+      source: { type: 'string', enum: ['evankeliumikirja', 'viikkolektionaari'] },
+      week: nullable(string()),
+      readings: arrayOf({
+        type: 'object',
+        properties: {
+          section: string(),
+          reference: string(),
+          time: string(),
+          book: string(),
+          bookIntro: string(),
+          text: string(),
+        },
+      }),
+    },
+  },
+  HolyDay: {
+    type: 'object',
+    description: 'A calendar entry with the data of the Evankeliumikirja',
+    properties: {
+      name: string(),
+      slug: string(),
+      date: date,
+      type: string(),
+      transferred: { type: 'object' },
+      overrides: string(),
+      overriddenBy: string(),
+      precedence: ref('Precedence'),
+      liturgicalColor: nullable(string()),
+      description: nullable(string()),
+      latinName: nullable(string()),
+      texts: { type: 'object' },
+      allYearCycles: { type: 'object' },
+      psalm: { type: 'object' },
+      hallelujah: { type: 'object' },
+      psalmVerse: {},
+      prayers: arrayOf({ type: 'object', properties: { number: integer(), text: string() } }),
+      hymns: { type: 'object' },
+      propers: ref('Propers'),
+      seasonalRules: ref('SeasonalRules'),
+    },
+    required: ['name', 'slug', 'type'],
+  },
+  OrdinaryPart: {
+    type: 'object',
+    description: 'Whether an ordinary part of the service is used on the day',
+    properties: {
+      name: string(),
+      status: { type: 'string', enum: ['used', 'omitted', 'replaced'] },
+      replacement: string('Field of the day that replaces the part, e.g. psalmVerse'),
+      rule: nullable({
+        type: 'object',
+        properties: { id: string(), text: string(), source: string() },
+        required: ['id', 'text', 'source'],
+      }),
+    },
+    required: ['name', 'status', 'rule'],
+  },
+  SeasonalRules: {
+    type: 'object',
+    description: 'Seasonal rules for the ordinary parts of the service',
+    properties: {
+      gloria: ref('OrdinaryPart'),
+      hallelujah: ref('OrdinaryPart'),
+      teDeum: ref('OrdinaryPart'),
+      blessing: ref('OrdinaryPart'),
+    },
+    required: ['gloria', 'hallelujah', 'teDeum', 'blessing'],
+  },
+  ResolvedDate: {
+    type: 'object',
+    properties: {
+      date,
+      tradition: string(),
+      churchYear: ref('ChurchYear'),
+      holyDay: nullable(ref('HolyDay')),
+      additionalServices: arrayOf(ref('HolyDay')),
+      precedingSunday: nullable(ref('HolyDay')),
+      dailyTexts: nullable(ref('DailyTexts')),
+      dayOfWeek: string(),
+      season: nullable(string()),
+    },
+    required: ['date', 'churchYear', 'holyDay', 'dayOfWeek'],
+  },
+  DaySummary: DAY_SUMMARY,
+  RangeDay: {
+    type: 'object',
+    properties: {
+      date,
+      dayOfWeek: string(),
+      churchYear: string(),
+      yearCycle: integer(),
+      holyDay: nullable(ref('DaySummary')),
+      additionalServices: arrayOf(ref('DaySummary')),
+      precedingSunday: nullable(ref('DaySummary')),
+      season: nullable(string()),
+      liturgicalColor: nullable(string()),
+      color: nullable(ref('Color')),
+    },
+    required: ['date', 'dayOfWeek', 'churchYear', 'yearCycle', 'holyDay'],
+  },
+  Occurrence: {
+    type: 'object',
+    properties: {
+      date,
+      dayOfWeek: string(),
+      churchYear: string(),
+      yearCycle: integer(),
+      type: string(),
+      transferred: { type: 'object' },
+      precedence: ref('Precedence'),
+    },
+    required: ['date', 'churchYear', 'yearCycle', 'type', 'precedence'],
+  },
+  CalendarEntry: {
+    type: 'object',
+    properties: {
+      date,
+      slug: string(),
+      name: string(),
+      type: string(),
+      liturgicalColor: string(),
+      transferred: { type: 'object' },
+      overrides: string(),
+    },
+    required: ['date', 'slug', 'name', 'type'],
+  },
+  Calendar: {
+    type: 'object',
+    properties: {
+      churchYear: ref('ChurchYear'),
+      entries: arrayOf(ref('CalendarEntry')),
+    },
+    required: ['churchYear', 'entries'],
+  },
+  Period: {
+    type: 'object',
+    properties: { name: string(), slug: string(), start: date, end: date },
+    required: ['name', 'slug', 'start', 'end'],
+  },
+  Season: {
+    type: 'object',
+    properties: {
+      name: string(),
+      slug: string(),
+      start: date,
+      end: date,
+      periods: arrayOf(ref('Period')),
+    },
+    required: ['name', 'slug', 'start', 'end', 'periods'],
+  },
+  Propers: {
+    type: 'object',
+    properties: {
+      prefaatio: nullable({ type: 'object' }),
+      kyrieLitania: nullable({ type: 'object' }),
+      kertosae: nullable({ type: 'object' }),
+      kiitosrukousEhtoollinen: nullable(ref('KiitosrukousEhtoollinen')),
+      exsultet: nullable(arrayOf(ref('Exsultet'))),
+    },
+  },
+  Exsultet: {
+    type: 'object',
+    description: 'One version of the Easter Vigil Exsultet',
+    properties: {
+      version: { type: 'string', enum: ['A', 'B'] },
+      title: string(),
+      intro: nullable(string('Rubrics before the first part')),
+      sections: arrayOf({
+        type: 'object',
+        properties: {
+          role: { type: 'string', enum: ['E', 'P', 'S'], description: 'Role marker of the source' },
+          part: { type: 'string', enum: ['deacon', 'congregation'] },
+          text: string(),
+        },
+        required: ['role', 'part', 'text'],
+      }),
+    },
+    required: ['version', 'title', 'sections'],
+  },
+  KiitosrukousEhtoollinen: {
+    type: 'object',
+    description: 'Post-communion thanksgiving prayer of a season',
+    properties: {
+      season: string(),
+      slug: string(),
+      note: string('From when the prayer applies, e.g. Tuhkakeskiviikosta lähtien'),
+      texts: arrayOf(string()),
+    },
+    required: ['season', 'slug', 'texts'],
+  },
+  TextSearchResult: {
+    type: 'object',
+    properties: {
+      holyDay: string(),
+      slug: string(),
+      yearCycle: integer(),
+      readingType: string(),
+      reference: string(),
+      overlap: ref('Overlap'),
+    },
+    required: ['holyDay', 'slug', 'readingType', 'reference'],
+  },
+  LectionaryEntry: {
+    type: 'object',
+    properties: {
+      book: string(),
+      bookId: nullable(string()),
+      abbreviation: string(),
+      section: string(),
+      reference: string(),
+      occurrences: arrayOf({
+        type: 'object',
+        properties: { holyDay: string(), context: nullable(string()), readingType: nullable(string()) },
+      }),
+      overlap: ref('Overlap'),
+    },
+    required: ['book', 'abbreviation', 'reference'],
+  },
+  DailyTextsResponse: {
+    type: 'object',
+    properties: {
+      date,
+      dayOfWeek: string(),
+      dailyTexts: nullable(ref('DailyTexts')),
+    },
+    required: ['date', 'dayOfWeek', 'dailyTexts'],
+  },
+  PropersResponse: {
+    type: 'object',
+    properties: {
+      date,
+      holyDay: nullable(string()),
+      propers: nullable(ref('Propers')),
+      seasonalRules: nullable(ref('SeasonalRules')),
+    },
+    required: ['date', 'holyDay', 'propers', 'seasonalRules'],
+  },
+  PropersDiagnostics: {
+    type: 'object',
+    description: 'Result of checking data/propers-mapping.json',
+    properties: {
+      mapped: integer('Number of mapped holy days'),
+      unmapped: arrayOf({ type: 'object', properties: { slug: string(), name: string() } }),
+      errors: arrayOf({ type: 'object', properties: { slug: string(), message: string() } }),
+      withoutPrefaatio: arrayOf({ type: 'object', properties: { slug: string(), name: string() } }),
+    },
+    required: ['mapped', 'unmapped', 'errors', 'withoutPrefaatio'],
+  },
+  ServiceSlot: {
+    type: 'object',
+    description: 'One numbered slot of an order of service',
+    properties: {
+      number: integer(),
+      slot: string('e.g. paivan-rukous'),
+      name: string(),
+      status: {
+        type: 'string',
+        enum: ['filled', 'options', 'ordinary', 'free', 'omitted'],
+        description: 'filled: content from the data; options: choose one; ordinary: fixed text of the service book; free: prepared for the service; omitted: left out on this day',
+      },
+      content: { description: 'Text of a filled slot' },
+      options: arrayOf({}),
+      refrain: string('Psalm refrain (kertosäe)'),
+      note: string(),
+    },
+    required: ['number', 'slot', 'name', 'status'],
+  },
+  OrderOfService: {
+    type: 'object',
+    properties: {
+      date,
+      order: { type: 'string', enum: ['messu', 'sanajumalanpalvelus'] },
+      holyDay: nullable({ type: 'object', properties: { name: string(), slug: string() }, required: ['name', 'slug'] }),
+      basedOn: nullable({ type: 'string', enum: ['holyDay', 'precedingSunday'] }),
+      churchYear: CHURCH_YEAR,
+      liturgicalColor: nullable(string()),
+      parts: arrayOf({
+        type: 'object',
+        properties: { name: string(), slots: arrayOf(ref('ServiceSlot')) },
+        required: ['name', 'slots'],
+      }),
+    },
+    required: ['date', 'order', 'holyDay', 'basedOn', 'churchYear', 'liturgicalColor', 'parts'],
+  },
+  TextSearchResponse: {
+    type: 'object',
+    properties: {
+      query: string(),
+      reference: string('Normalized query when it is a Bible reference'),
+      mode: { type: 'string', enum: ['match', 'overlap'] },
+      count: integer(),
+      results: arrayOf(ref('TextSearchResult')),
+    },
+    required: ['query', 'mode', 'count', 'results'],
+  },
+  Overlap: {
+    type: 'object',
+    properties: {
+      relation: { type: 'string', enum: ['equal', 'contains', 'within', 'overlaps'] },
+      shared: string('Shared verses'),
+    },
+    required: ['relation', 'shared'],
+  },
+};
+
+// ─── Document ───────────────────────────────────────────────────────────────
+
+/**
+ * Operation id from a route pattern, e.g.
+ * /api/v1/date/:date/color → getDateByDateColor.
+ */
+function operationId(pattern) {
+  const words = pattern
+    .replace(/^\/api\/v1\/?/, '')
+    .split(/[/.-]/)
+    .filter(Boolean)
+    .map(part => part.startsWith(':') ? `by-${part.slice(1)}` : part)
+    .flatMap(part => part.split('-'));
+  return 'get' + words.map(w => w[0].toUpperCase() + w.slice(1)).join('');
+}
+
+/**
+ * Build the OpenAPI 3.1 document from the registered routes.
+ *
+ * @param {Array<{pattern: string, schema: Object}>} registry - Routes in registration order
+ * @param {Object} info - OpenAPI info object (title, version, description)
+ * @returns {Object}
+ */
+export function buildOpenApi(registry, info) {
+  const paths = {};
+
+  for (const { pattern, schema } of registry) {
+    const path = pattern.replace(/:([a-zA-Z]+)/g, '{$1}');
+    const contentType = schema.contentType || 'application/json';
+
+    paths[path] = {
+      get: {
+        operationId: operationId(pattern),
+        summary: schema.summary,
+        ...(schema.tag && { tags: [schema.tag] }),
+        parameters: [
+          ...(schema.params || []).map(p => ({ ...p, in: 'path', required: true })),
+          ...(schema.query || []).map(p => ({ required: false, ...p, in: 'query' })),
+        ],
+        responses: {
+          200: {
+            description: schema.document
+              ? 'OK. Also as text/plain, text/markdown or text/html (Accept header or .txt/.md/.html suffix)'
+              : 'OK',
+            content: {
+              [contentType]: { schema: schema.response || {} },
+              ...(schema.document && Object.fromEntries(
+                Object.values(FORMATS).map(type => [type.split(';')[0], { schema: { type: 'string' } }]),
+              )),
+            },
+          },
+          400: {
+            description: 'Invalid request',
+            content: { 'application/json': { schema: ref('Error') } },
+          },
+          ...(schema.notFound && {
+            404: {
+              description: 'Not found',
+              content: { 'application/json': { schema: ref('Error') } },
+            },
+          }),
+        },
+      },
+    };
+  }
+
+  return {
+    openapi: '3.1.0',
+    info,
+    paths,
+    components: { schemas: SCHEMAS },
+  };
+}
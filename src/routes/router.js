@@ -0,0 +1,51 @@
+/**
+ * Router for Kirkkovuosi API.
+ *
+ * Matches a request path against Express-style `:param` patterns and
+ * decodes the path parameters.
+ */
+
+import { badRequest } from './validation.js';
+
+export class Router {
+  constructor() {
+    this.routes = [];
+  }
+
+  get(pattern, handler, schema = {}) {
+    // Convert Express-style :param patterns to regex
+    const paramNames = [];
+    const regexStr = pattern.replace(/:([a-zA-Z]+)/g, (_, name) => {
+      paramNames.push(name);
+      return '([^/]+)';
+    });
+    const regex = new RegExp(`^${regexStr}$`);
+    this.routes.push({ regex, paramNames, handler, schema });
+  }
+
+  /**
+   * Find the route of a path. A parameter with a malformed percent-escape
+   * (e.g. `%E0%A4%A`) matches with an `error` (400) instead of params.
+   *
+   * @param {string} pathname
+   * @returns {{handler: Function, params: Object, schema: Object, error?: Object}|null}
+   */
+  match(pathname) {
+    for (const route of this.routes) {
+      const m = pathname.match(route.regex);
+      if (m) {
+        const params = {};
+        for (const [i, name] of route.paramNames.entries()) {
+          try {
+            params[name] = decodeURIComponent(m[i + 1]);
+          } catch {
+            const error = badRequest(`Invalid ${name}: malformed percent-encoding.`, { parameter: name, in: 'path', value: m[i + 1] });
+            return { handler: route.handler, params, schema: route.schema, error };
+          }
+        }
+        return { handler: route.handler, params, schema: route.schema };
+      }
+    }
+    return null;
+  }
+}
@@ -0,0 +1,113 @@
+/**
+ * Response shaping for Kirkkovuosi API.
+ *
+ * A resolved day carries every section of the Evankeliumikirja: texts of
+ * all year cycles, psalm, prayers, hymns and propers. Clients that need
+ * only part of it can shape any JSON response:
+ *
+ *   ?fields=holyDay.name,holyDay.texts.gospel.reference
+ *   ?include=propers,hymns
+ *   ?exclude=allYearCycles
+ *
+ * `include` and `exclude` name sections (see SECTIONS) and apply at any
+ * depth, e.g. to the holy day and to each additional service. `fields`
+ * then keeps only the given dot paths.
+ */
+
+/**
+ * Optional sections of a day, by key.
+ */
+export const SECTIONS = [
+  'description', 'texts', 'allYearCycles', 'yearCycles', 'weekdayTexts', 'dailyTexts',
+  'psalm', 'hallelujah', 'psalmVerse', 'prayers', 'hymns', 'propers', 'seasonalRules',
+];
+
+/**
+ * Parse a comma-separated query value into a list.
+ *
+ * @param {string} [value]
+ * @returns {string[]|null}
+ */
+export function parseList(value) {
+  if (!value) return null;
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Copy a value without the dropped sections, at any depth.
+ */
+function dropSections(value, dropped) {
+  if (Array.isArray(value)) return value.map(item => dropSections(item, dropped));
+  if (!value || typeof value !== 'object') return value;
+
+  const result = {};
+  for (const [key, child] of Object.entries(value)) {
+    if (!dropped.has(key)) result[key] = dropSections(child, dropped);
+  }
+  return result;
+}
+
+/**
+ * Build a selection tree from dot paths. A `true` leaf keeps the whole
+ * value; a shorter path wins over a longer one.
+ *
+ * @param {string[]} paths - e.g. ['holyDay.name', 'holyDay.texts.gospel']
+ */
+function selectionTree(paths) {
+  const tree = {};
+  for (const path of paths) {
+    const keys = path.split('.');
+    let node = tree;
+    for (const [i, key] of keys.entries()) {
+      if (node[key] === true) break;
+      if (i === keys.length - 1) node[key] = true;
+      else node = node[key] ||= {};
+    }
+  }
+  return tree;
+}
+
+/**
+ * Copy the selected parts of a value. Arrays are selected element by
+ * element, so `days.date` picks the date of every day.
+ */
+function select(value, tree) {
+  if (tree === true) return value;
+  if (Array.isArray(value)) return value.map(item => select(item, tree));
+  if (!value || typeof value !== 'object') return value;
+
+  const result = {};
+  for (const key of Object.keys(tree)) {
+    if (key in value) result[key] = select(value[key], tree[key]);
+  }
+  return result;
+}
+
+/**
+ * Shape a response by ?fields=, ?include= and ?exclude=.
+ *
+ * The data is copied, never changed, since services return cached objects.
+ *
+ * @param {Object} data - Handler result
+ * @param {Object} query - Request query
+ * @param {string} [query.fields] - Comma-separated dot paths to keep
+ * @param {string} [query.include] - Comma-separated sections to keep; other sections are dropped
+ * @param {string} [query.exclude] - Comma-separated sections to drop
+ * @returns {Object}
+ */
+export function shapeResponse(data, { fields, include, exclude } = {}) {
+  const dropped = new Set(parseList(exclude));
+  const included = parseList(include);
+  if (included) {
+    for (const section of SECTIONS) {
+      if (!included.includes(section)) dropped.add(section);
+    }
+  }
+
+  let result = dropped.size > 0 ? dropSections(data, dropped) : data;
+
+  const paths = parseList(fields);
+  if (paths) result = select(result, selectionTree(paths));
+
+  return result;
+}
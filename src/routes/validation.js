@@ -0,0 +1,150 @@
+/**
+ * Request validation and the error model of Kirkkovuosi API.
+ *
+ * Routes declare their path and query parameters as OpenAPI parameter
+ * objects (see openapi.js); validateRequest() checks a request against
+ * them before the handler runs. Every error has the same body:
+ *
+ *   { "error": { "code": "...", "message": "...", "details": { ... } } }
+ *
+ * with the HTTP status attached under the STATUS symbol for the server.
+ */
+
+import { formatDate, parseDate } from '../services/computus.js';
+
+/**
+ * Marks the HTTP status of a handler result.
+ */
+export const STATUS = Symbol('status');
+
+// ─── Errors ─────────────────────────────────────────────────────────────────
+
+/**
+ * Build an error result.
+ *
+ * @param {number} status - HTTP status code
+ * @param {string} code - Machine-readable error code, e.g. `not_found`
+ * @param {string} message - Human-readable message
+ * @param {Object} [details] - What was wrong, e.g. `{ parameter, in, value }`
+ */
+export function apiError(status, code, message, details) {
+  return { [STATUS]: status, error: { code, message, ...(details && { details }) } };
+}
+
+/**
+ * 400 for an invalid parameter value or combination.
+ */
+export function badRequest(message, details) {
+  return apiError(400, 'invalid_parameter', message, details);
+}
+
+/**
+ * 404 for a resource that does not exist, e.g. an unknown slug.
+ */
+export function notFound(message, details) {
+  return apiError(404, 'not_found', message, details);
+}
+
+// ─── Validation ─────────────────────────────────────────────────────────────
+
+/**
+ * "a, b or c"
+ */
+function listOf(values) {
+  return values.length > 1
+    ? `${values.slice(0, -1).join(', ')} or ${values[values.length - 1]}`
+    : String(values[0]);
+}
+
+/**
+ * Check one parameter value against its schema.
+ *
+ * Supports the formats `date` (a real calendar date) and `month`
+ * (YYYY-MM), integers with enum/minimum/maximum, booleans, string enums
+ * and patterns, and comma-separated arrays of enum values.
+ *
+ * @returns {Object|null} An error result, or null if the value is valid
+ */
+function validateParameter({ name, schema = {}, example }, value, location) {
+  const invalid = (message) => badRequest(message, { parameter: name, in: location, value });
+
+  if (schema.type === 'array') {
+    const allowed = schema.items?.enum;
+    const item = value.split(',').map(v => v.trim()).find(v => allowed && !allowed.includes(v));
+    return item === undefined ? null : invalid(`Invalid ${name}: ${item}. Use ${listOf(allowed)}.`);
+  }
+
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    return invalid(`Invalid ${name}.${example ? ` Example: ?${name}=${example}` : ''}`);
+  }
+
+  if (schema.format === 'date') {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return invalid('Invalid date format. Use YYYY-MM-DD.');
+    }
+    if (formatDate(parseDate(value)) !== value) {
+      return invalid(`Invalid date: ${value} does not exist.`);
+    }
+  }
+
+  if (schema.format === 'month' && !/^\d{4}-(0[1-9]|1[0-2])$/.test(value)) {
+    return invalid('Invalid month format. Use YYYY-MM.');
+  }
+
+  if (schema.type === 'integer') {
+    if (!/^-?\d+$/.test(value)) {
+      return invalid(`Invalid ${name}. Must be an integer.`);
+    }
+    const n = Number(value);
+    if (schema.enum && !schema.enum.includes(n)) {
+      return invalid(`Invalid ${name}. Use ${listOf(schema.enum)}.`);
+    }
+    const { minimum: min, maximum: max } = schema;
+    if ((min !== undefined && n < min) || (max !== undefined && n > max)) {
+      if (max === undefined) return invalid(`Invalid ${name}. Must be at least ${min}.`);
+      if (min === undefined) return invalid(`Invalid ${name}. Must be at most ${max}.`);
+      return invalid(`Invalid ${name}. Must be between ${min} and ${max}.`);
+    }
+  } else if (schema.type === 'boolean') {
+    if (value !== 'true' && value !== 'false') {
+      return invalid(`Invalid ${name}. Use true or false.`);
+    }
+  } else if (schema.enum && !schema.enum.includes(value)) {
+    return invalid(`Invalid ${name}. Use ${listOf(schema.enum)}.`);
+  }
+
+  return null;
+}
+
+/**
+ * Validate the path and query parameters of a request against a route
+ * schema. Empty query parameters count as missing.
+ *
+ * @param {Object} schema - Route schema with `params` and `query` lists
+ * @param {{params: Object, query: Object}} req
+ * @returns {Object|null} An error result, or null if the request is valid
+ */
+export function validateRequest(schema, req) {
+  for (const param of schema.params || []) {
+    const error = validateParameter(param, req.params[param.name], 'path');
+    if (error) return error;
+  }
+
+  for (const param of schema.query || []) {
+    const value = req.query[param.name];
+    if (value === undefined || value.trim() === '') {
+      if (param.required) {
+        const example = param.example ? ` Example: ?${param.name}=${param.example}` : '';
+        return apiError(400, 'missing_parameter', `Query parameter ?${param.name}= is required.${example}`, {
+          parameter: param.name,
+          in: 'query',
+        });
+      }
+      continue;
+    }
+    const error = validateParameter(param, value, 'query');
+    if (error) return error;
+  }
+
+  return null;
+}
@@ -0,0 +1,129 @@
+/**
+ * Liturgical Colors — structured form of the color rules in the
+ * Evankeliumikirja.
+ *
+ * The source gives colors as Finnish text, e.g. "valkoinen, maanantaista
+ * lauantaihin violetti tai sininen". This module parses such text into a
+ * rule (primary color, alternatives, weekday override, note) and resolves
+ * the single color that applies on a given date.
+ */
+
+// ─── Color Table ────────────────────────────────────────────────────────────
+
+/**
+ * Canonical colors with Finnish, English and Swedish names and a hex code
+ * for display.
+ */
+const COLORS = {
+  white: { fi: 'valkoinen', en: 'white', sv: 'vit', hex: '#FFFFFF' },
+  violet: { fi: 'violetti', en: 'violet', sv: 'violett', hex: '#5B2A86' },
+  blue: { fi: 'sininen', en: 'blue', sv: 'blå', hex: '#1F4E9C' },
+  green: { fi: 'vihreä', en: 'green', sv: 'grön', hex: '#2E7D32' },
+  red: { fi: 'punainen', en: 'red', sv: 'röd', hex: '#C62828' },
+  black: { fi: 'musta', en: 'black', sv: 'svart', hex: '#000000' },
+  gold: { fi: 'kulta', en: 'gold', sv: 'guld', hex: '#C9A227' },
+};
+
+/**
+ * Finnish word stems, matching both "violetti" and "violettia".
+ */
+const STEMS = {
+  valkoi: 'white',
+  violet: 'violet',
+  sini: 'blue',
+  vihre: 'green',
+  puna: 'red',
+  must: 'black',
+  kulta: 'gold',
+};
+
+const COLOR_WORD = new RegExp(`\\b(${Object.keys(STEMS).join('|')})\\p{L}*`, 'gu');
+
+/**
+ * Describe a canonical color by its id.
+ *
+ * @param {string} id - e.g. `violet`
+ * @returns {{id: string, fi: string, en: string, sv: string, hex: string}}
+ */
+export function describeColor(id) {
+  return { id, ...COLORS[id] };
+}
+
+/**
+ * Get all canonical colors.
+ */
+export function getColors() {
+  return Object.keys(COLORS).map(describeColor);
+}
+
+// ─── Parsing ────────────────────────────────────────────────────────────────
+
+const ruleCache = new Map();
+
+/**
+ * Color ids named in a piece of text, in order of appearance.
+ */
+function colorsIn(text) {
+  return [...text.matchAll(COLOR_WORD)].map(m => STEMS[m[1]]);
+}
+
+/**
+ * Parse a Finnish color text into a structured rule.
+ *
+ * The first sentence names the colors; any further sentences are kept as
+ * a note. "maanantaista lauantaihin" introduces the colors of the weekdays
+ * following the day.
+ *
+ * @param {string|null} text - e.g. "valkoinen, maanantaista lauantaihin vihreä"
+ * @returns {{text: string, primary: string|null, alternatives: string[], weekdays: {primary: string, alternatives: string[]}|null, note: string|null}|null}
+ */
+export function parseColorRule(text) {
+  if (!text) return null;
+  if (ruleCache.has(text)) return ruleCache.get(text);
+
+  const sentenceEnd = text.search(/\.\s/);
+  const main = sentenceEnd === -1 ? text : text.slice(0, sentenceEnd);
+  const note = sentenceEnd === -1 ? null : text.slice(sentenceEnd + 1).trim();
+
+  const [day, weekdayText] = main.split(/,?\s*maanantaista lauantaihin\s*/);
+  const colors = colorsIn(day);
+  const weekdays = weekdayText ? colorsIn(weekdayText) : [];
+
+  const rule = {
+    text,
+    primary: colors[0] || null,
+    alternatives: colors.slice(1),
+    weekdays: weekdays.length > 0 ? { primary: weekdays[0], alternatives: weekdays.slice(1) } : null,
+    note,
+  };
+  ruleCache.set(text, rule);
+  return rule;
+}
+
+// ─── Resolution ─────────────────────────────────────────────────────────────
+
+/**
+ * Resolve the single color a color text gives for a date.
+ *
+ * The weekday colors of the rule, when it has them, apply on the Monday–
+ * Saturday dates after the governing day; the day itself and Sundays get
+ * the primary color.
+ *
+ * @param {string|null} text - Finnish color text of the governing day
+ * @param {Date} date
+ * @param {Date} dayDate - Date of the governing day
+ * @returns {Object|null} The color (see describeColor) with `alternatives`
+ *   and the parsed `rule`, or null if the text names no color
+ */
+export function resolveColor(text, date, dayDate) {
+  const rule = parseColorRule(text);
+  if (!rule?.primary) return null;
+
+  const weekday = date > dayDate && date.getUTCDay() !== 0;
+  const applied = rule.weekdays && weekday ? rule.weekdays : rule;
+  return {
+    ...describeColor(applied.primary),
+    alternatives: applied.alternatives.map(describeColor),
+    rule,
+  };
+}
@@ -30,6 +30,28 @@ export function easterSunday(year) {
   return makeDate(year, month, day);
 }
 
+/**
+ * Calculate Orthodox Pascha for a given year, as a Gregorian date.
+ * Julian Paschalion (Meeus Julian algorithm), converted from the Julian
+ * to the Gregorian calendar.
+ * @param {number} year
+ * @returns {Date}
+ */
+export function orthodoxEasterSunday(year) {
+  const a = year % 4;
+  const b = year % 7;
+  const c = year % 19;
+  const d = (19 * c + 15) % 30;
+  const e = (2 * a + 4 * b - d + 34) % 7;
+  const month = Math.floor((d + e + 114) / 31); // Julian calendar month
+  const day = ((d + e + 114) % 31) + 1;
+
+  // Julian–Gregorian difference (13 days in 1900–2099); Pascha is always
+  // after the Julian leap day, so the century year's own difference applies.
+  const offset = Math.floor(year / 100) - Math.floor(year / 400) - 2;
+  return addDays(makeDate(year, month, day), offset);
+}
+
 /**
  * Create a date at midnight UTC (no timezone issues).
  */
@@ -126,6 +148,25 @@ export function formatDate(date) {
   return `${y}-${m}-${d}`;
 }
 
+/**
+ * Get the current date as YYYY-MM-DD in an IANA time zone.
+ * Throws a RangeError if the time zone is unknown.
+ *
+ * @param {string} timeZone - e.g. 'Europe/Helsinki'
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export function todayInTimeZone(timeZone, now = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).formatToParts(now);
+  const part = type => parts.find(p => p.type === type).value;
+  return `${part('year')}-${part('month')}-${part('day')}`;
+}
+
 /**
  * Parse YYYY-MM-DD string to Date.
  */
@@ -144,15 +185,15 @@ export function parseDate(str) {
  *
  * @param {number} startYear — The calendar year in which this church year begins
  *   (e.g. 2025 for church year 2025–2026)
- * @returns {Array<{date: Date, slug: string, name: string, type: string}>}
+ * @returns {Array<{date: Date, slug: string, name: string, type: string, transferred?: Object, overrides?: string}>}
  */
 export function generateChurchYear(startYear) {
   const easter = easterSunday(startYear + 1); // Easter is in the next calendar year
   const entries = [];
 
   // Helper to add an entry
-  const add = (date, slug, name, type = 'sunday') => {
-    entries.push({ date, slug, name, type, dateStr: formatDate(date) });
+  const add = (date, slug, name, type = 'sunday', extra = {}) => {
+    entries.push({ date, slug, name, type, dateStr: formatDate(date), ...extra });
   };
 
   // ─── 1st Advent Sunday ─────────────────────────────────────────────
@@ -174,8 +215,8 @@ export function generateChurchYear(startYear) {
   // ─── Christmas season ──────────────────────────────────────────────
   const christmas = makeDate(startYear, 12, 25);
   add(makeDate(startYear, 12, 24), 'jouluaatto', 'Jouluaatto', 'feast');
-  // Jouluyö (Christmas Eve night service) - same date as jouluaatto
-  // jouluaamu - Christmas morning, same date as joulupäivä
+  add(makeDate(startYear, 12, 24), 'jouluyo', 'Jouluyö', 'service'); // Christmas night mass
+  add(christmas, 'jouluaamu', 'Jouluaamu', 'service'); // Christmas morning service
   add(christmas, 'joulupaiva', 'Joulupäivä', 'feast');
 
   add(makeDate(startYear, 12, 26), 'tapaninpaiva', 'Tapaninpäivä', 'feast');
@@ -337,13 +378,21 @@ export function generateChurchYear(startYear) {
   // Kynttilänpäivä (Candlemas) = Feb 2
   add(makeDate(startYear + 1, 2, 2), 'kynttilanpaiva', 'Kynttilänpäivä', 'special');
 
-  // Marian ilmestyspäivä (Annunciation) = Mar 25
-  // (shifts if it falls in Holy Week or Easter — we'll handle displacement later)
-  const annunciation = makeDate(startYear + 1, 3, 25);
-  if (annunciation < addDays(easter, -6) || annunciation > addDays(easter, 7)) {
+  // Marian ilmestyspäivä (Annunciation) = Sunday between Mar 22–28.
+  // If that Sunday is Palmusunnuntai or Pääsiäispäivä, the feast is
+  // transferred to the Sunday before Palmusunnuntai.
+  const annunciation = sundayOnOrAfter(makeDate(startYear + 1, 3, 22));
+  if (sameDay(annunciation, palmSunday) || sameDay(annunciation, easter)) {
+    const reason = sameDay(annunciation, palmSunday) ? 'Palmusunnuntai' : 'Pääsiäispäivä';
+    add(addDays(palmSunday, -7), 'marian-ilmestyspaiva', 'Marian ilmestyspäivä', 'special', {
+      transferred: {
+        originalDate: formatDate(annunciation),
+        reason: `Sunday between March 22 and 28 is ${reason}`,
+      },
+    });
+  } else {
     add(annunciation, 'marian-ilmestyspaiva', 'Marian ilmestyspäivä', 'special');
   }
-  // TODO: displaced Annunciation handling
 
   // Juhannuspäivä (Midsummer / John the Baptist) = Saturday between Jun 20–26
   const juhannuspaiva = saturdayOnOrBefore(makeDate(startYear + 1, 6, 26));
@@ -367,18 +416,30 @@ export function generateChurchYear(startYear) {
   // Pyhän Henrikin muistopäivä = Jan 19
   add(makeDate(startYear + 1, 1, 19), 'pyhan-henrikin-muistopaiva', 'Pyhän Henrikin muistopäivä', 'special');
 
-  // Itsenäisyyspäivä = Dec 6
-  add(makeDate(startYear + 1, 12, 6), 'itsenaisyyspaiva', 'Itsenäisyyspäivä', 'special');
+  // Itsenäisyyspäivä = Dec 6 (in the Advent that begins this church year)
+  add(makeDate(startYear, 12, 6), 'itsenaisyyspaiva', 'Itsenäisyyspäivä', 'special');
 
   // Kansalliset rukouspäivät = Jan 18 and Oct 24
   add(makeDate(startYear + 1, 1, 18), 'kansalliset-rukouspaivat', 'Kristittyjen ykseyden rukouspäivä', 'special');
   add(makeDate(startYear + 1, 10, 24), 'kansalliset-rukouspaivat', 'Rauhan, ihmisoikeuksien ja kansainvälisen vastuun rukouspäivä', 'special');
 
   // ─── Floating special Sundays ─────────────────────────────────────
-  // Luomakunnan sunnuntai = typically 2nd Sunday in May or as designated
-  // Perheen sunnuntai = typically 2nd Sunday of October
-  // These are assigned to an existing Pentecost Sunday slot and override it.
-  // For now, we add them as separate entries; the resolver can handle precedence.
+  // Luomakunnan sunnuntai = first free Sunday after Pentecost from the 2nd Sunday in May
+  // Perheen sunnuntai = first free Sunday after Pentecost from the 2nd Sunday of October
+  // Each takes over a numbered Sunday-after-Pentecost slot that no other
+  // special day already occupies, and records the slot it overrides.
+  for (const { slug, name, month, nth } of FLOATING_SUNDAYS) {
+    const target = addDays(sundayOnOrAfter(makeDate(startYear + 1, month, 1)), (nth - 1) * 7);
+    const slot = entries.find(e =>
+      e.type === 'sunday' &&
+      /^\d+-sunnuntai-helluntaista$/.test(e.slug) &&
+      e.date >= target &&
+      !entries.some(o => o.type === 'special' && o.dateStr === e.dateStr)
+    );
+    if (slot) {
+      add(slot.date, slug, name, 'special', { overrides: slot.slug });
+    }
+  }
 
   // Sort by date
   entries.sort((a, b) => a.date - b.date);
@@ -386,6 +447,15 @@ export function generateChurchYear(startYear) {
   return entries;
 }
 
+/**
+ * Special Sundays without a fixed date. Each is placed on the first numbered
+ * Sunday after Pentecost on or after the `nth` Sunday of `month`.
+ */
+const FLOATING_SUNDAYS = [
+  { slug: 'luomakunnan-sunnuntai', name: 'Luomakunnan sunnuntai', month: 5, nth: 2 },
+  { slug: 'perheen-sunnuntai', name: 'Perheen sunnuntai', month: 10, nth: 2 },
+];
+
 /**
  * Add weekday entries (Mon–Sat) for the week following a Sunday.
  */
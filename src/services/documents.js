@@ -0,0 +1,301 @@
+/**
+ * Day Documents — renders the readings of a day as plain text, Markdown
+ * or HTML for printing.
+ *
+ * A day is first turned into a document (title, detail lines, liturgical
+ * color and sections for the psalm, the readings and the prayer of the
+ * day), which is then rendered in the requested format. Headings are in
+ * Finnish like the texts themselves.
+ */
+
+import { getDateColor } from './resolver.js';
+import { parseDate } from './computus.js';
+
+/**
+ * Readings in order of the service. Sundays have the first three; days
+ * with weekday texts have lists of readings before the gospel.
+ */
+const READINGS = [
+  ['firstReading', 'Ensimmäinen lukukappale'],
+  ['secondReading', 'Toinen lukukappale'],
+  ['readings', 'Lukukappale'],
+  ['otReadings', 'Vanhan testamentin lukukappale'],
+  ['ntReadings', 'Uuden testamentin lukukappale'],
+  ['gospel', 'Evankeliumi'],
+];
+
+// ─── Documents ──────────────────────────────────────────────────────────────
+
+/**
+ * The source uses "--" for a dash.
+ */
+function dashes(text) {
+  return text.replace(/--/g, '–');
+}
+
+/**
+ * "tiistai", 2026-04-07 → "Tiistai 7.4.2026"
+ */
+function formatDay(dayOfWeek, date) {
+  const d = parseDate(date);
+  const weekday = dayOfWeek ? `${dayOfWeek[0].toUpperCase()}${dayOfWeek.slice(1)} ` : '';
+  return `${weekday}${d.getUTCDate()}.${d.getUTCMonth() + 1}.${d.getUTCFullYear()}`;
+}
+
+/**
+ * Sections for the readings of one year cycle or of the weekday texts.
+ * Readings of a list are numbered when there are several.
+ *
+ * @param {Object|null} texts - Readings of one year cycle, or weekday texts
+ * @param {number} [level=2] - Heading level of the sections
+ */
+function readingSections(texts, level = 2) {
+  return READINGS.flatMap(([key, heading]) => {
+    const value = texts?.[key];
+    const readings = Array.isArray(value) ? value : [value].filter(Boolean);
+    return readings.map((reading, i) => ({
+      heading: readings.length > 1 ? `${heading} ${i + 1}` : heading,
+      level,
+      reference: reading.reference,
+      intro: reading.bookIntro,
+      text: reading.text,
+    }));
+  });
+}
+
+/**
+ * The psalm section of a day, with its antiphon.
+ */
+function psalmSection(psalm) {
+  if (!psalm?.text && !psalm?.reference) return null;
+  return {
+    heading: 'Psalmi',
+    level: 2,
+    reference: psalm.reference,
+    antiphon: psalm.antiphon
+      ? { text: psalm.antiphon, reference: psalm.antiphonReference }
+      : null,
+    text: psalm.text,
+  };
+}
+
+/**
+ * The prayer section of a day: its first prayer.
+ */
+function prayerSection(prayers) {
+  if (!prayers?.length) return null;
+  return { heading: 'Päivän rukous', level: 2, text: prayers[0].text };
+}
+
+/**
+ * Build the document of a resolved date (see resolveDate). On a weekday
+ * without a holy day of its own, the readings of the preceding Sunday or
+ * feast are used.
+ *
+ * @param {Object} resolved - Result of resolveDate or resolveOrthodoxDate
+ * @returns {Object} Document
+ */
+export function dateDocument(resolved) {
+  const day = resolved.holyDay || resolved.precedingSunday;
+  const when = formatDay(resolved.dayOfWeek, resolved.date);
+  const color = resolved.tradition === 'orthodox'
+    ? day?.liturgicalColor
+    : getDateColor(resolved.date)?.color?.fi || day?.liturgicalColor;
+
+  const details = [];
+  if (resolved.holyDay) details.push(when);
+  else if (day) details.push(`Edellinen pyhäpäivä: ${day.name}`);
+  if (resolved.churchYear?.label) {
+    const cycle = resolved.churchYear.yearCycle ? `, ${resolved.churchYear.yearCycle}. vuosikerta` : '';
+    details.push(`Kirkkovuosi ${resolved.churchYear.label}${cycle}`);
+  }
+  if (resolved.season) details.push(resolved.season);
+
+  return {
+    title: resolved.holyDay ? resolved.holyDay.name : when,
+    details,
+    color: color || null,
+    sections: [
+      psalmSection(day?.psalm),
+      ...readingSections(day?.texts),
+      prayerSection(day?.prayers),
+    ].filter(Boolean),
+  };
+}
+
+/**
+ * Build the document of a holy day from its source data, with the
+ * readings of all three year cycles, or the weekday texts of a day
+ * without year cycles.
+ *
+ * @param {Object} day - Result of getDayData
+ * @returns {Object} Document
+ */
+export function holyDayDocument(day) {
+  const sections = [psalmSection(day.psalm)];
+  for (const [cycle, texts] of Object.entries(day.yearCycles || {})) {
+    const readings = readingSections(texts, 3);
+    if (readings.length === 0) continue;
+    sections.push({ heading: `${cycle}. vuosikerta`, level: 2 }, ...readings);
+  }
+  // No year cycle had readings: a weekday service with weekday texts
+  if (sections.length === 1) sections.push(...readingSections(day.weekdayTexts));
+  sections.push(prayerSection(day.prayers));
+
+  return {
+    title: day.name,
+    details: [day.latinName, day.season].filter(Boolean),
+    color: day.liturgicalColor || null,
+    sections: sections.filter(Boolean),
+  };
+}
+
+// ─── Rendering ──────────────────────────────────────────────────────────────
+
+/**
+ * Render a document as plain text.
+ */
+function renderText(doc) {
+  const lines = [doc.title.toUpperCase(), ...doc.details];
+  if (doc.color) lines.push(`Liturginen väri: ${doc.color}`);
+
+  for (const section of doc.sections) {
+    lines.push('');
+    if (section.level === 2) {
+      lines.push(section.heading.toUpperCase());
+    } else {
+      lines.push(section.heading, '-'.repeat(section.heading.length));
+    }
+    if (section.reference) lines.push(dashes(section.reference));
+    if (section.intro) lines.push(section.intro);
+    if (section.antiphon) {
+      lines.push('', dashes(section.antiphon.text));
+      if (section.antiphon.reference) lines.push(`(${dashes(section.antiphon.reference)})`);
+    }
+    if (section.text) lines.push('', dashes(section.text));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Escape Markdown syntax in source text.
+ */
+function escapeMarkdown(text) {
+  return text
+    .replace(/([\\`*_[\]<>])/g, '\\$1')
+    .replace(/^(\s*)(#|>|[-+](?=\s)|\d+\.(?=\s))/gm, '$1\\$2');
+}
+
+/**
+ * Source text as Markdown paragraphs, keeping line breaks.
+ */
+function markdownText(text) {
+  return escapeMarkdown(dashes(text))
+    .split(/\n{2,}/)
+    .map(paragraph => paragraph.split('\n').join('  \n'))
+    .join('\n\n');
+}
+
+/**
+ * Render a document as Markdown.
+ */
+function renderMarkdown(doc) {
+  const blocks = [`# ${escapeMarkdown(doc.title)}`];
+  const details = doc.details.map(escapeMarkdown);
+  if (doc.color) details.push(`Liturginen väri: ${doc.color}`);
+  if (details.length > 0) blocks.push(details.join('  \n'));
+
+  for (const section of doc.sections) {
+    blocks.push(`${'#'.repeat(section.level)} ${section.heading}`);
+    const heading = [
+      section.reference && `**${escapeMarkdown(dashes(section.reference))}**`,
+      section.intro && `*${escapeMarkdown(section.intro)}*`,
+    ].filter(Boolean);
+    if (heading.length > 0) blocks.push(heading.join('  \n'));
+    if (section.antiphon) {
+      const reference = section.antiphon.reference ? `  \n(${escapeMarkdown(dashes(section.antiphon.reference))})` : '';
+      blocks.push(`> ${markdownText(section.antiphon.text).replace(/\n/g, '\n> ')}${reference}`);
+    }
+    if (section.text) blocks.push(markdownText(section.text));
+  }
+  return blocks.join('\n\n') + '\n';
+}
+
+/**
+ * Escape text for HTML.
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Source text as HTML paragraphs, keeping line breaks.
+ */
+function htmlText(text) {
+  return escapeHtml(dashes(text))
+    .split(/\n{2,}/)
+    .map(paragraph => `<p>${paragraph.split('\n').join('<br>\n')}</p>`)
+    .join('\n');
+}
+
+const STYLE = `body { font-family: Georgia, serif; max-width: 40em; margin: 2em auto; padding: 0 1em; line-height: 1.5; }
+.details, .intro { color: #555; }
+.reference { font-weight: bold; margin-bottom: 0; }
+.intro { font-style: italic; margin-top: 0; }
+.antiphon { font-style: italic; }
+@media print { body { margin: 0; } h2, h3 { break-after: avoid; } }`;
+
+/**
+ * Render a document as a standalone HTML page.
+ */
+function renderHtml(doc) {
+  const details = [...doc.details.map(escapeHtml)];
+  if (doc.color) details.push(`Liturginen väri: ${escapeHtml(doc.color)}`);
+
+  const body = [`<h1>${escapeHtml(doc.title)}</h1>`];
+  if (details.length > 0) body.push(`<p class="details">${details.join('<br>\n')}</p>`);
+
+  for (const section of doc.sections) {
+    body.push(`<h${section.level}>${escapeHtml(section.heading)}</h${section.level}>`);
+    if (section.reference) body.push(`<p class="reference">${escapeHtml(dashes(section.reference))}</p>`);
+    if (section.intro) body.push(`<p class="intro">${escapeHtml(section.intro)}</p>`);
+    if (section.antiphon) {
+      const reference = section.antiphon.reference ? `\n<footer>${escapeHtml(dashes(section.antiphon.reference))}</footer>` : '';
+      body.push(`<blockquote class="antiphon">\n${htmlText(section.antiphon.text)}${reference}\n</blockquote>`);
+    }
+    if (section.text) body.push(htmlText(section.text));
+  }
+
+  return `<!DOCTYPE html>
+<html lang="fi">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(doc.title)}</title>
+<style>
+${STYLE}
+</style>
+</head>
+<body>
+${body.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a document.
+ *
+ * @param {Object} doc - See dateDocument and holyDayDocument
+ * @param {string} format - `txt`, `md` or `html`
+ * @returns {string}
+ */
+export function renderDocument(doc, format) {
+  if (format === 'md') return renderMarkdown(doc);
+  if (format === 'html') return renderHtml(doc);
+  return renderText(doc);
+}
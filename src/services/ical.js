@@ -0,0 +1,183 @@
+/**
+ * iCalendar Service — renders the church year calendar as an RFC 5545 feed.
+ *
+ * Each calendar entry becomes an all-day VEVENT with the holy day name,
+ * liturgical color and the readings of the active year cycle. UIDs are
+ * derived from slug + date so that re-fetching the feed updates events
+ * instead of duplicating them.
+ */
+
+import { getChurchYearCalendar, getDayData } from './resolver.js';
+import { parseDate, addDays, formatDate } from './computus.js';
+import { normalizeReference } from './references.js';
+
+const PRODID = '-//Kirkkovuosi API//Kirkkovuosi 1.0//FI';
+const UID_DOMAIN = 'kirkkovuosi-api';
+
+// ─── Formatting Helpers ─────────────────────────────────────────────────────
+
+/**
+ * Escape a TEXT value (RFC 5545 §3.3.11).
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to at most 75 octets (RFC 5545 §3.1).
+ * Never splits a multi-byte UTF-8 character.
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let limit = 75;
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+      limit = 74; // continuation lines start with a space
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * The day after a YYYY-MM-DD date (exclusive DTEND of an all-day event).
+ */
+function nextDay(dateStr) {
+  return formatDate(addDays(parseDate(dateStr), 1));
+}
+
+/**
+ * Format a YYYY-MM-DD string as an iCalendar DATE value.
+ */
+function icalDate(dateStr) {
+  return dateStr.replace(/-/g, '');
+}
+
+/**
+ * Format a Date as an iCalendar UTC DATE-TIME value.
+ */
+function icalDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// ─── Events ─────────────────────────────────────────────────────────────────
+
+/**
+ * Display form of a source reference (see normalizeReference). A reference
+ * that does not parse, e.g. one with alternatives, keeps its text with
+ * "--" shown as a dash.
+ */
+function displayReference(text) {
+  return normalizeReference(text) || text.replace(/--/g, '–');
+}
+
+/**
+ * Build the event description: color and the readings of the active cycle.
+ */
+function describe(slug, yearCycle) {
+  const data = getDayData(slug);
+  const lines = [];
+
+  if (data?.liturgicalColor) lines.push(`Liturginen väri: ${data.liturgicalColor}`);
+
+  const cycle = data?.yearCycles?.[String(yearCycle)];
+  if (cycle) {
+    lines.push(`${yearCycle}. vuosikerta`);
+    if (cycle.firstReading?.reference) lines.push(`1. lukukappale: ${displayReference(cycle.firstReading.reference)}`);
+    if (cycle.secondReading?.reference) lines.push(`2. lukukappale: ${displayReference(cycle.secondReading.reference)}`);
+    if (cycle.gospel?.reference) lines.push(`Evankeliumi: ${displayReference(cycle.gospel.reference)}`);
+  } else if (data?.weekdayTexts?.gospel?.reference) {
+    lines.push(`Evankeliumi: ${displayReference(data.weekdayTexts.gospel.reference)}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Turn one church year into event objects. Consecutive days with the same
+ * slug (e.g. the week after 1st Advent) are merged into one multi-day event.
+ *
+ * @param {number} startYear
+ * @returns {Array<{uid: string, slug: string, start: string, end: string, summary: string, description: string, type: string}>}
+ */
+export function getChurchYearEvents(startYear) {
+  const { churchYear, entries } = getChurchYearCalendar(startYear);
+  const events = [];
+
+  for (const entry of entries) {
+    const last = events.findLast(e => e.slug === entry.slug);
+    if (last && last.end === entry.date) {
+      last.end = nextDay(entry.date);
+      continue;
+    }
+    events.push({
+      uid: `${entry.slug}-${entry.date}@${UID_DOMAIN}`,
+      slug: entry.slug,
+      start: entry.date,
+      end: nextDay(entry.date),
+      summary: entry.name,
+      description: describe(entry.slug, churchYear.yearCycle),
+      type: entry.type,
+    });
+  }
+
+  return events;
+}
+
+// ─── Calendar ───────────────────────────────────────────────────────────────
+
+/**
+ * Render one or more church years as an iCalendar document.
+ *
+ * Events are stamped with the modification time recorded for the data
+ * they are built from, so the feed stays byte-identical between fetches
+ * and deploys, and clients see a change only when the data changes.
+ *
+ * @param {number[]} startYears - Church year start years to include
+ * @param {Date} modified - Modification time of the data (see getDataModified in routes/caching.js)
+ * @returns {string} text/calendar body with CRLF line endings
+ */
+export function getICalendar(startYears, modified) {
+  const stamp = icalDateTime(modified);
+  // SEQUENCE grows with every revision of the data
+  const sequence = Math.floor(modified.getTime() / 1000);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Kirkkovuosi',
+    'X-WR-TIMEZONE:Europe/Helsinki',
+  ];
+
+  for (const startYear of startYears) {
+    for (const event of getChurchYearEvents(startYear)) {
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `DTSTAMP:${stamp}`,
+        `LAST-MODIFIED:${stamp}`,
+        `SEQUENCE:${sequence}`,
+        `DTSTART;VALUE=DATE:${icalDate(event.start)}`,
+        `DTEND;VALUE=DATE:${icalDate(event.end)}`,
+        `SUMMARY:${escapeText(event.summary)}`,
+        ...(event.description ? [`DESCRIPTION:${escapeText(event.description)}`] : []),
+        `CATEGORIES:${escapeText(event.type)}`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT',
+      );
+    }
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
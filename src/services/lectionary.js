@@ -11,6 +11,7 @@
 import { readFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { parseReference, referenceMatches, compareReferences } from './references.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const DATA_DIR = join(__dirname, '..', 'data');
@@ -67,13 +68,25 @@ export function getByHolyDay(holyDayName) {
 
 /**
  * Search lectionary entries by Bible reference (book abbreviation + chapter/verse).
- * E.g. "Matt. 5", "Ps. 22", "Room. 8"
+ * E.g. "Matt. 5", "Ps. 22", "Room. 8:14-17"
+ *
+ * A query that parses as a reference is matched structurally (see
+ * referenceMatches in references.js); anything else by substring.
  *
  * @param {string} query
  * @returns {Array}
  */
 export function searchByReference(query) {
   const data = load();
+  const parsed = parseReference(query);
+
+  if (parsed) {
+    return data.entries.filter(entry => {
+      const ref = parseReference(entry.reference, { book: entry.abbreviation });
+      return ref !== null && referenceMatches(ref, parsed);
+    });
+  }
+
   const q = query.toLowerCase().trim();
 
   return data.entries.filter(entry => {
@@ -85,6 +98,82 @@ export function searchByReference(query) {
   });
 }
 
+/**
+ * Find lectionary entries whose verses overlap a reference.
+ *
+ * @param {Object} query - Canonical reference from parseReference()
+ * @returns {Array} Matching entries, each with an `overlap` descriptor (see compareReferences)
+ */
+export function searchByOverlap(query) {
+  const results = [];
+  for (const entry of load().entries) {
+    const ref = parseReference(entry.reference, { book: entry.abbreviation });
+    const overlap = ref && compareReferences(ref, query);
+    if (overlap) results.push({ ...entry, overlap });
+  }
+  return results;
+}
+
+// ─── Weekly Lectionary (viikkolektionaari) ──────────────────────────────────
+
+/**
+ * Index contexts for the morning and evening readings of each weekday.
+ * The Saturday evening reading belongs to the following week (`aattoilta`);
+ * weekday holy days (e.g. hiljaisen viikon tiistai) have their own (`paiva`).
+ */
+const WEEKDAY_CONTEXTS = {
+  paiva: { aamu: 'aamu', ilta: 'ilta' },
+  sunnuntai: { aamu: 'sunnuntaiaamu', ilta: 'sunnuntai-ilta' },
+  maanantai: { aamu: 'maanantaiaamu', ilta: 'maanantai-ilta' },
+  tiistai: { aamu: 'tiistaiaamu', ilta: 'tiistai-ilta' },
+  keskiviikko: { aamu: 'keskiviikkoaamu', ilta: 'keskiviikkoilta' },
+  torstai: { aamu: 'torstaiaamu', ilta: 'torstai-ilta' },
+  perjantai: { aamu: 'perjantaiaamu', ilta: 'perjantai-ilta' },
+  lauantai: { aamu: 'lauantaiaamu' },
+  aatto: { ilta: 'aattoilta' },
+};
+
+/**
+ * Get the weekly lectionary readings of one day in the week of a holy day.
+ *
+ * The holy day name is matched case-insensitively against the index keys,
+ * ignoring a trailing parenthetical (e.g. "1. paastonajan sunnuntai (invocavit)").
+ *
+ * @param {string} holyDayName - Name of the Sunday or feast that begins the week
+ * @param {string} day - Finnish weekday name, 'aatto' for the eve before the holy day,
+ *   or 'paiva' for the holy day itself
+ * @returns {Array<{time: string, section: string, book: string, reference: string}>}
+ */
+export function getWeekdayReadings(holyDayName, day) {
+  const contexts = WEEKDAY_CONTEXTS[day];
+  if (!contexts) return [];
+
+  const data = load();
+  const q = holyDayName.toLowerCase().trim();
+  const readings = [];
+
+  for (const [key, entries] of Object.entries(data.byHolyDay)) {
+    const k = key.toLowerCase();
+    if (k !== q && !k.startsWith(`${q} (`)) continue;
+
+    for (const entry of entries) {
+      for (const [time, context] of Object.entries(contexts)) {
+        if (entry.context === context) {
+          readings.push({
+            time,
+            section: entry.section,
+            book: entry.book,
+            reference: `${entry.abbreviation} ${entry.reference}`,
+          });
+        }
+      }
+    }
+  }
+
+  // Morning before evening
+  return readings.sort((a, b) => (a.time === 'aamu' ? 0 : 1) - (b.time === 'aamu' ? 0 : 1));
+}
+
 /**
  * Get all holy day names used in the lectionary index.
  */
@@ -0,0 +1,240 @@
+/**
+ * Order of Service — assembles the ordered liturgy of a date from the
+ * Evankeliumikirja (readings, psalm, prayers, hymns) and the Jumalanpalvelusten
+ * kirja (propers, absolutions, thanksgiving prayers).
+ *
+ * Two orders are supported: messu (Holy Communion) and
+ * sanajumalanpalvelus (Service of the Word). Each slot of the order is
+ * either filled from the data, offered as a list of options to choose
+ * from, left to the ordinary of the service book, left free (sermon,
+ * intercessions) or omitted for the season by the seasonal rules (see
+ * services/rules.js).
+ */
+
+import { resolveDate } from './resolver.js';
+import {
+  getPropers, getAllSynninpaastot, getAllKiitosrukoukset,
+} from './propers.js';
+import { getSeasonalRules, isUsed } from './rules.js';
+
+/**
+ * Supported orders of service.
+ */
+export const ORDERS = ['messu', 'sanajumalanpalvelus'];
+
+// ─── Slots ──────────────────────────────────────────────────────────────────
+
+/**
+ * Slot statuses:
+ * - `filled`: content comes from the data for the day
+ * - `options`: choose one of `options`
+ * - `ordinary`: the fixed text of the service book
+ * - `free`: prepared for the service (sermon, intercessions)
+ * - `omitted`: left out on this day, see `note`
+ */
+const filled = (content, note) => ({ status: 'filled', content, ...(note && { note }) });
+const options = (list, note) => ({ status: 'options', options: list, ...(note && { note }) });
+const ordinary = (note) => ({ status: 'ordinary', ...(note && { note }) });
+const free = (note) => ({ status: 'free', ...(note && { note }) });
+const omitted = (note) => ({ status: 'omitted', note });
+
+/**
+ * Choose between a list and a single value: one item fills the slot,
+ * several are options.
+ */
+function oneOrOptions(list, note) {
+  if (!list?.length) return free(note);
+  return list.length === 1 ? filled(list[0], note) : options(list, note);
+}
+
+/**
+ * An ordinary part of the service, or the rule that omits it on the day
+ * (see services/rules.js).
+ */
+function seasonal(part) {
+  return (ctx) => isUsed(ctx.rules, part) ? ordinary() : omitted(ctx.rules[part].rule.text);
+}
+
+/**
+ * Weekday texts of a day without year cycles for a reading slot (`OT` for
+ * the first, `NT` for the second). A weekday holy day has its own list of
+ * readings. A week with its own weekday texts uses the pair of the date
+ * (see dailyTexts in services/resolver.js), or offers the whole list on
+ * the days past its end.
+ */
+function weekdayReadings(ctx, section) {
+  const texts = ctx.day.texts || {};
+  if (section === 'OT' && texts.readings) return texts.readings;
+
+  const list = (section === 'OT' ? texts.otReadings : texts.ntReadings) || [];
+  const daily = ctx.dailyTexts?.source === 'evankeliumikirja'
+    ? ctx.dailyTexts.readings.filter(r => r.section === section).map(({ section, ...r }) => r)
+    : [];
+  return daily.length ? daily : list;
+}
+
+/**
+ * A reading of the day, or a free slot if the day has none. `section`
+ * lets the slot fall back to the weekday texts (see weekdayReadings).
+ */
+function reading(key, section) {
+  return (ctx) => {
+    if (ctx.day.texts?.[key]) return filled(ctx.day.texts[key]);
+    const list = section ? weekdayReadings(ctx, section) : [];
+    return list.length ? oneOrOptions(list) : free('Päivälle ei ole lukukappaletta.');
+  };
+}
+
+/**
+ * Slot definitions in order, by part. `orders` limits a slot to some of
+ * the orders; `name` may depend on the day.
+ */
+const PARTS = [
+  {
+    name: 'Johdanto',
+    slots: [
+      { slot: 'alkuvirsi', name: 'Alkuvirsi', fill: (ctx) => oneOrOptions(ctx.day.hymns?.opening) },
+      { slot: 'alkusiunaus', name: 'Alkusiunaus', fill: () => ordinary() },
+      { slot: 'johdantosanat', name: 'Johdantosanat', fill: () => free() },
+      {
+        slot: 'rippi',
+        name: 'Yhteinen rippi',
+        fill: (ctx) => ordinary(ctx.order === 'messu' ? 'Rippi voidaan siirtää ennen ehtoollisen viettoa.' : undefined),
+      },
+      { slot: 'synninpaasto', name: 'Synninpäästö', fill: () => options(getAllSynninpaastot()) },
+      { slot: 'kiitosrukous', name: 'Kiitosrukous', fill: () => options(getAllKiitosrukoukset()) },
+      {
+        slot: 'kyrie',
+        name: 'Kyrie',
+        fill: (ctx) => ctx.propers.kyrieLitania
+          ? filled(ctx.propers.kyrieLitania, 'Kyrie-litanian sijaan voidaan käyttää perusmuotoista Kyrietä.')
+          : ordinary(),
+      },
+      {
+        slot: 'gloria',
+        name: 'Kunnia Jumalalle korkeuksissa (Gloria)',
+        fill: seasonal('gloria'),
+      },
+      { slot: 'paivan-rukous', name: 'Päivän rukous', fill: (ctx) => oneOrOptions(ctx.day.prayers) },
+    ],
+  },
+  {
+    name: 'Sana',
+    slots: [
+      { slot: 'ensimmainen-lukukappale', name: 'Ensimmäinen lukukappale', fill: reading('firstReading', 'OT') },
+      {
+        slot: 'psalmi',
+        name: 'Psalmi',
+        fill: (ctx) => ctx.day.psalm
+          ? { ...filled(ctx.day.psalm), ...(ctx.propers.kertosae && { refrain: ctx.propers.kertosae }) }
+          : free(),
+      },
+      { slot: 'toinen-lukukappale', name: 'Toinen lukukappale', fill: reading('secondReading', 'NT') },
+      {
+        slot: 'halleluja',
+        name: (ctx) => isUsed(ctx.rules, 'hallelujah') ? 'Halleluja ja jae' : 'Psalmilause',
+        fill: (ctx) => {
+          if (isUsed(ctx.rules, 'hallelujah')) return ctx.day.hallelujah ? filled(ctx.day.hallelujah) : ordinary();
+          return oneOrOptions(ctx.day.psalmVerse, ctx.rules.hallelujah.rule.text);
+        },
+      },
+      { slot: 'evankeliumi', name: 'Evankeliumi', fill: reading('gospel') },
+      { slot: 'saarna', name: 'Saarna', fill: () => free() },
+      {
+        slot: 'uskontunnustus',
+        name: 'Uskontunnustus',
+        fill: () => options(
+          ['Apostolinen uskontunnustus', 'Nikean uskontunnustus'],
+          'Suurina juhlapyhinä käytetään yleensä Nikean uskontunnustusta.',
+        ),
+      },
+      { slot: 'paivan-virsi', name: 'Päivän virsi', fill: (ctx) => oneOrOptions(ctx.day.hymns?.dayHymns) },
+      { slot: 'esirukous', name: 'Yhteinen esirukous', fill: () => free() },
+    ],
+  },
+  {
+    name: 'Ehtoollinen',
+    orders: ['messu'],
+    slots: [
+      { slot: 'uhrivirsi', name: 'Uhrivirsi', fill: () => free() },
+      {
+        slot: 'prefaatio',
+        name: 'Prefaatio',
+        fill: (ctx) => ctx.propers.prefaatio ? filled(ctx.propers.prefaatio) : ordinary('Yleinen prefaatio.'),
+      },
+      { slot: 'sanctus', name: 'Pyhä (Sanctus)', fill: () => ordinary() },
+      { slot: 'ehtoollisrukous', name: 'Ehtoollisrukous', fill: () => ordinary() },
+      { slot: 'isa-meidan', name: 'Isä meidän', fill: () => ordinary() },
+      { slot: 'rauhantervehdys', name: 'Rauhantervehdys', fill: () => ordinary() },
+      { slot: 'jumalan-karitsa', name: 'Jumalan Karitsa (Agnus Dei)', fill: () => ordinary() },
+      { slot: 'ehtoollisen-vietto', name: 'Ehtoollisen vietto', fill: () => ordinary() },
+      {
+        slot: 'kiitosrukous-ehtoollinen',
+        name: 'Kiitosrukous',
+        fill: (ctx) => ctx.propers.kiitosrukousEhtoollinen
+          ? oneOrOptions(ctx.propers.kiitosrukousEhtoollinen.texts)
+          : ordinary('Yleinen kiitosrukous.'),
+      },
+    ],
+  },
+  {
+    name: 'Päätös',
+    slots: [
+      { slot: 'isa-meidan', name: 'Isä meidän', orders: ['sanajumalanpalvelus'], fill: () => ordinary() },
+      { slot: 'herran-siunaus', name: 'Herran siunaus', fill: seasonal('blessing') },
+      {
+        slot: 'paatosvirsi',
+        name: 'Päätösvirsi',
+        fill: (ctx) => oneOrOptions([...(ctx.day.hymns?.additional || []), ...(ctx.day.hymns?.other || [])]),
+      },
+      { slot: 'lahettaminen', name: 'Lähettäminen', fill: () => ordinary() },
+    ],
+  },
+];
+
+// ─── Order of Service ───────────────────────────────────────────────────────
+
+/**
+ * Assemble the order of service for a date. On a weekday without a holy
+ * day of its own, the preceding Sunday or feast provides the material.
+ *
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} [order='messu'] - One of ORDERS
+ * @returns {Object} `{ date, order, holyDay, basedOn, churchYear, liturgicalColor, parts }`
+ */
+export function getOrderOfService(date, order = 'messu') {
+  const resolved = resolveDate(date);
+  const day = resolved.holyDay || resolved.precedingSunday;
+  const ctx = {
+    order,
+    day: day || {},
+    dailyTexts: resolved.holyDay ? resolved.dailyTexts : null,
+    propers: day ? getPropers(day.slug) : {},
+    rules: day?.seasonalRules || getSeasonalRules(null, null),
+  };
+
+  let number = 0;
+  const parts = PARTS
+    .filter(part => !part.orders || part.orders.includes(order))
+    .map(part => ({
+      name: part.name,
+      slots: part.slots
+        .filter(slot => !slot.orders || slot.orders.includes(order))
+        .map(slot => ({
+          number: ++number,
+          slot: slot.slot,
+          name: typeof slot.name === 'function' ? slot.name(ctx) : slot.name,
+          ...slot.fill(ctx),
+        })),
+    }));
+
+  return {
+    date: resolved.date,
+    order,
+    holyDay: day ? { name: day.name, slug: day.slug } : null,
+    basedOn: resolved.holyDay ? 'holyDay' : day ? 'precedingSunday' : null,
+    churchYear: resolved.churchYear,
+    liturgicalColor: day?.liturgicalColor || null,
+    parts,
+  };
+}
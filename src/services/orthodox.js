@@ -0,0 +1,252 @@
+/**
+ * Orthodox Calendar — church year of the Orthodox Church of Finland.
+ *
+ * Fixed feasts follow the Gregorian calendar, while the moveable cycle
+ * (Triodion, Great Lent, Pascha, Pentecostarion) is computed from the
+ * Julian Paschalion. The church year begins on September 1.
+ *
+ * Only dates, names and liturgical colors are provided; readings and
+ * propers are available for the Lutheran calendar only.
+ */
+
+import {
+  orthodoxEasterSunday,
+  makeDate,
+  addDays,
+  formatDate,
+  parseDate,
+} from './computus.js';
+
+// ─── Calendar Tables ────────────────────────────────────────────────────────
+
+/**
+ * Moveable days as offsets from Pascha.
+ */
+const MOVEABLE_DAYS = [
+  { offset: -70, slug: 'publikaanin-ja-fariseuksen-sunnuntai', name: 'Publikaanin ja fariseuksen sunnuntai', type: 'sunday', color: 'kulta' },
+  { offset: -63, slug: 'tuhlaajapojan-sunnuntai', name: 'Tuhlaajapojan sunnuntai', type: 'sunday', color: 'kulta' },
+  { offset: -56, slug: 'viimeisen-tuomion-sunnuntai', name: 'Viimeisen tuomion sunnuntai', type: 'sunday', color: 'kulta' },
+  { offset: -49, slug: 'anteeksiantamisen-sunnuntai', name: 'Anteeksiantamisen sunnuntai', type: 'sunday', color: 'kulta' },
+  { offset: -48, slug: 'puhdas-maanantai', name: 'Puhdas maanantai', type: 'weekday', color: 'violetti' },
+  { offset: -42, slug: 'ortodoksisuuden-sunnuntai', name: 'Ortodoksisuuden sunnuntai', type: 'sunday', color: 'violetti' },
+  { offset: -35, slug: 'pyhan-gregorios-palamaan-sunnuntai', name: 'Pyhän Gregorios Palamaan sunnuntai', type: 'sunday', color: 'violetti' },
+  { offset: -28, slug: 'ristinkumartamisen-sunnuntai', name: 'Ristinkumartamisen sunnuntai', type: 'sunday', color: 'violetti' },
+  { offset: -21, slug: 'pyhan-johannes-siinailaisen-sunnuntai', name: 'Pyhän Johannes Siinailaisen sunnuntai', type: 'sunday', color: 'violetti' },
+  { offset: -14, slug: 'pyhan-maria-egyptilaisen-sunnuntai', name: 'Pyhän Maria Egyptiläisen sunnuntai', type: 'sunday', color: 'violetti' },
+  { offset: -8, slug: 'lasaruksen-lauantai', name: 'Lasaruksen lauantai', type: 'weekday', color: 'vihreä' },
+  { offset: -7, slug: 'herran-tulo-jerusalemiin', name: 'Herran tulo Jerusalemiin (palmusunnuntai)', type: 'feast', color: 'vihreä' },
+  { offset: -6, slug: 'suuri-maanantai', name: 'Suuri maanantai', type: 'weekday', color: 'violetti' },
+  { offset: -5, slug: 'suuri-tiistai', name: 'Suuri tiistai', type: 'weekday', color: 'violetti' },
+  { offset: -4, slug: 'suuri-keskiviikko', name: 'Suuri keskiviikko', type: 'weekday', color: 'violetti' },
+  { offset: -3, slug: 'suuri-torstai', name: 'Suuri torstai', type: 'weekday', color: 'punainen' },
+  { offset: -2, slug: 'suuri-perjantai', name: 'Suuri perjantai', type: 'weekday', color: 'musta' },
+  { offset: -1, slug: 'suuri-lauantai', name: 'Suuri lauantai', type: 'weekday', color: 'valkoinen' },
+  { offset: 0, slug: 'pascha', name: 'Kristuksen ylösnousemus (pääsiäinen)', type: 'feast', color: 'valkoinen' },
+  { offset: 7, slug: 'tuomaan-sunnuntai', name: 'Tuomaan sunnuntai', type: 'sunday', color: 'punainen' },
+  { offset: 14, slug: 'mirhantuojanaisten-sunnuntai', name: 'Mirhantuojanaisten sunnuntai', type: 'sunday', color: 'punainen' },
+  { offset: 21, slug: 'halvaantuneen-sunnuntai', name: 'Halvaantuneen sunnuntai', type: 'sunday', color: 'punainen' },
+  { offset: 24, slug: 'helluntain-puolivali', name: 'Helluntain puoliväli', type: 'weekday', color: 'punainen' },
+  { offset: 28, slug: 'samarialaisnaisen-sunnuntai', name: 'Samarialaisnaisen sunnuntai', type: 'sunday', color: 'punainen' },
+  { offset: 35, slug: 'sokeana-syntyneen-sunnuntai', name: 'Sokeana syntyneen sunnuntai', type: 'sunday', color: 'punainen' },
+  { offset: 39, slug: 'herran-taivaaseenastuminen', name: 'Herran taivaaseenastuminen (helatorstai)', type: 'feast', color: 'valkoinen' },
+  { offset: 42, slug: 'nikean-kirkolliskokouksen-isien-sunnuntai', name: 'Nikean I kirkolliskokouksen isien sunnuntai', type: 'sunday', color: 'valkoinen' },
+  { offset: 49, slug: 'helluntai', name: 'Helluntai (Pyhän Kolminaisuuden päivä)', type: 'feast', color: 'vihreä' },
+  { offset: 50, slug: 'pyhan-hengen-paiva', name: 'Pyhän Hengen päivä', type: 'feast', color: 'vihreä' },
+  { offset: 56, slug: 'kaikkien-pyhien-sunnuntai', name: 'Kaikkien pyhien sunnuntai', type: 'sunday', color: 'kulta' },
+];
+
+/**
+ * Great feasts with a fixed (Gregorian) date, in church year order.
+ */
+const FIXED_FEASTS = [
+  { month: 9, day: 8, slug: 'jumalansynnyttajan-syntyma', name: 'Jumalansynnyttäjän syntymä', color: 'sininen' },
+  { month: 9, day: 14, slug: 'ristin-ylentaminen', name: 'Pyhän Ristin ylentäminen', color: 'punainen' },
+  { month: 11, day: 21, slug: 'jumalansynnyttajan-temppeliintuominen', name: 'Jumalansynnyttäjän temppeliintuominen', color: 'sininen' },
+  { month: 12, day: 25, slug: 'kristuksen-syntyma', name: 'Kristuksen syntymä (joulu)', color: 'valkoinen' },
+  { month: 1, day: 6, slug: 'teofania', name: 'Teofania eli Herran kaste', color: 'valkoinen' },
+  { month: 2, day: 2, slug: 'herran-temppeliintuominen', name: 'Herran temppeliintuominen', color: 'sininen' },
+  { month: 3, day: 25, slug: 'jumalansynnyttajan-ilmestys', name: 'Jumalansynnyttäjän ilmestys', color: 'sininen' },
+  { month: 8, day: 6, slug: 'kristuksen-kirkastuminen', name: 'Kristuksen kirkastuminen', color: 'valkoinen' },
+  { month: 8, day: 15, slug: 'jumalansynnyttajan-kuolonuneen-nukkuminen', name: 'Jumalansynnyttäjän kuolonuneen nukkuminen', color: 'sininen' },
+];
+
+/**
+ * Seasons of the moveable cycle as offsets from Pascha (inclusive).
+ */
+const SEASONS = [
+  { from: -70, to: -49, name: 'Paastoa valmistava aika' },
+  { from: -48, to: -9, name: 'Suuri paasto' },
+  { from: -8, to: -1, name: 'Suuri viikko' },
+  { from: 0, to: 38, name: 'Pääsiäisaika' },
+  { from: 39, to: 56, name: 'Helluntaiaika' },
+];
+
+/**
+ * Color of ordinary Sundays.
+ */
+const ORDINARY_COLOR = 'kulta';
+
+/**
+ * Entry types in order of precedence when several share a date.
+ */
+const TYPE_ORDER = ['feast', 'sunday', 'weekday'];
+
+// ─── Church Year Generation ─────────────────────────────────────────────────
+
+/**
+ * The church year start year for a date (the church year begins September 1).
+ *
+ * @param {Date} date
+ * @returns {number}
+ */
+export function getOrthodoxYearStart(date) {
+  const year = date.getUTCFullYear();
+  return date < makeDate(year, 9, 1) ? year - 1 : year;
+}
+
+/**
+ * Generate the Orthodox church year from September 1 of `startYear`
+ * to August 31 of `startYear + 1`.
+ *
+ * Sundays outside the moveable cycle are numbered from the previous
+ * Pentecost ("n. sunnuntai helluntaista").
+ *
+ * @param {number} startYear
+ * @returns {Array<{date: Date, slug: string, name: string, type: string, dateStr: string, liturgicalColor: string}>}
+ */
+export function generateOrthodoxYear(startYear) {
+  const pascha = orthodoxEasterSunday(startYear + 1);
+  const yearStart = makeDate(startYear, 9, 1);
+  const yearEnd = makeDate(startYear + 1, 8, 31);
+  const entries = [];
+
+  const add = (date, slug, name, type, liturgicalColor) => {
+    entries.push({ date, slug, name, type, dateStr: formatDate(date), liturgicalColor });
+  };
+
+  for (const { offset, slug, name, type, color } of MOVEABLE_DAYS) {
+    add(addDays(pascha, offset), slug, name, type, color);
+  }
+
+  for (const { month, day, slug, name, color } of FIXED_FEASTS) {
+    add(makeDate(month >= 9 ? startYear : startYear + 1, month, day), slug, name, 'feast', color);
+  }
+
+  // Numbered Sundays after Pentecost: up to the Triodion, then again
+  // after Kaikkien pyhien sunnuntai
+  const previousPentecost = addDays(orthodoxEasterSunday(startYear), 49);
+  const triodion = addDays(pascha, -70);
+  const pentecost = addDays(pascha, 49);
+  const firstSunday = addDays(yearStart, (7 - yearStart.getUTCDay()) % 7);
+
+  for (let sunday = firstSunday; sunday <= yearEnd; sunday = addDays(sunday, 7)) {
+    let fromPentecost = null;
+    if (sunday < triodion) fromPentecost = previousPentecost;
+    else if (sunday > addDays(pentecost, 7)) fromPentecost = pentecost;
+    if (!fromPentecost) continue;
+
+    const n = Math.round((sunday - fromPentecost) / (7 * 86400000));
+    add(sunday, `${n}-sunnuntai-helluntaista`, `${n}. sunnuntai helluntaista`, 'sunday', ORDINARY_COLOR);
+  }
+
+  // Sort by date (stable: moveable days stay ahead of fixed feasts on the same date)
+  entries.sort((a, b) => a.date - b.date);
+
+  return entries;
+}
+
+// ─── Calendar Cache ─────────────────────────────────────────────────────────
+
+const calendarCache = new Map();
+
+function getCalendar(startYear) {
+  if (!calendarCache.has(startYear)) {
+    calendarCache.set(startYear, generateOrthodoxYear(startYear));
+  }
+  return calendarCache.get(startYear);
+}
+
+// ─── Queries ────────────────────────────────────────────────────────────────
+
+function churchYearInfo(startYear) {
+  return {
+    start: startYear,
+    label: `${startYear}–${startYear + 1}`,
+    pascha: formatDate(orthodoxEasterSunday(startYear + 1)),
+  };
+}
+
+function toEntry(e) {
+  return {
+    name: e.name,
+    slug: e.slug,
+    date: e.dateStr,
+    type: e.type,
+    liturgicalColor: e.liturgicalColor,
+  };
+}
+
+/**
+ * Name of the moveable-cycle season a date falls in, if any.
+ */
+function getSeason(date, startYear) {
+  const pascha = orthodoxEasterSunday(startYear + 1);
+  const offset = Math.round((date - pascha) / 86400000);
+  return SEASONS.find(s => offset >= s.from && offset <= s.to)?.name || null;
+}
+
+/**
+ * Resolve a date in the Orthodox calendar.
+ *
+ * @param {Date|string} date - Date object or YYYY-MM-DD string
+ * @returns {Object} Same outline as resolveDate(), without readings or propers
+ */
+export function resolveOrthodoxDate(date) {
+  if (typeof date === 'string') {
+    date = parseDate(date);
+  }
+
+  const dateStr = formatDate(date);
+  const startYear = getOrthodoxYearStart(date);
+  const calendar = getCalendar(startYear);
+  const days = ['sunnuntai', 'maanantai', 'tiistai', 'keskiviikko', 'torstai', 'perjantai', 'lauantai'];
+
+  const matches = calendar
+    .filter(e => e.dateStr === dateStr)
+    .sort((a, b) => TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type));
+
+  const result = {
+    date: dateStr,
+    tradition: 'orthodox',
+    churchYear: churchYearInfo(startYear),
+    holyDay: matches.length > 0 ? toEntry(matches[0]) : null,
+  };
+
+  if (matches.length > 0) {
+    result.additionalServices = matches.slice(1).map(toEntry);
+  } else {
+    const preceding = calendar.findLast(e => e.type !== 'weekday' && e.date <= date);
+    result.precedingSunday = preceding ? toEntry(preceding) : null;
+  }
+
+  result.dayOfWeek = days[date.getUTCDay()];
+  result.season = getSeason(date, startYear);
+  return result;
+}
+
+/**
+ * Get the full Orthodox church year calendar with dates.
+ */
+export function getOrthodoxYearCalendar(startYear) {
+  return {
+    tradition: 'orthodox',
+    churchYear: churchYearInfo(startYear),
+    entries: getCalendar(startYear).map(e => ({
+      date: e.dateStr,
+      slug: e.slug,
+      name: e.name,
+      type: e.type,
+      liturgicalColor: e.liturgicalColor,
+    })),
+  };
+}
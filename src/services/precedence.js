@@ -0,0 +1,121 @@
+/**
+ * Precedence Service — decides which day is celebrated when several
+ * calendar entries fall on the same date.
+ *
+ * The rules live in data/precedence.json: every slug belongs to a class
+ * with a rank, and a day may list classes it displaces despite their
+ * higher rank (e.g. Marian ilmestyspäivä over a Lent Sunday).
+ */
+
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = join(__dirname, '..', 'data');
+
+let precedenceData = null;
+
+function loadPrecedence() {
+  if (precedenceData) return precedenceData;
+  const raw = readFileSync(join(DATA_DIR, 'precedence.json'), 'utf-8');
+  precedenceData = JSON.parse(raw);
+  precedenceData.patterns = precedenceData.patterns.map(p => ({ ...p, regex: new RegExp(p.match) }));
+  return precedenceData;
+}
+
+// ─── Rule Lookup ────────────────────────────────────────────────────────────
+
+/**
+ * Get the precedence rule for a calendar entry.
+ *
+ * Looks up the slug in `days`, then the slug `patterns`, then falls back
+ * to the class of the entry type.
+ *
+ * @param {{slug: string, type: string}} entry
+ * @returns {{class: string, rank: number, displaces: string[], transfer?: string, note?: string}}
+ */
+export function getPrecedenceRule(entry) {
+  const data = loadPrecedence();
+  const day = data.days[entry.slug];
+  const className = day?.class ||
+    data.patterns.find(p => p.regex.test(entry.slug))?.class ||
+    data.typeClasses[entry.type] ||
+    'weekday';
+
+  return {
+    ...day,
+    class: className,
+    rank: data.classes[className].rank,
+    displaces: day?.displaces || [],
+  };
+}
+
+/**
+ * Get the whole precedence table (classes, patterns and day rules).
+ */
+export function getPrecedenceTable() {
+  const { source, classes, typeClasses, patterns, days } = loadPrecedence();
+  return {
+    source,
+    classes,
+    typeClasses,
+    patterns: patterns.map(({ match, class: className }) => ({ match, class: className })),
+    days,
+  };
+}
+
+// ─── Resolution ─────────────────────────────────────────────────────────────
+
+/**
+ * Order entries sharing a date and explain the outcome for each.
+ *
+ * The first entry is celebrated. The others are marked as an additional
+ * service, displaced, or commemorated, with the reason. A transferred
+ * entry reports the transfer even when it is celebrated.
+ *
+ * @param {Array<{slug: string, name: string, type: string}>} entries
+ * @returns {Array} Entries in precedence order, each with a `precedence` object
+ */
+export function resolvePrecedence(entries) {
+  const ranked = entries.map(entry => ({ entry, rule: getPrecedenceRule(entry) }));
+
+  ranked.sort((a, b) => {
+    if (a.rule.displaces.includes(b.rule.class)) return -1;
+    if (b.rule.displaces.includes(a.rule.class)) return 1;
+    return a.rule.rank - b.rule.rank;
+  });
+
+  const [first] = ranked;
+
+  return ranked.map(({ entry, rule }, i) => {
+    const precedence = {
+      class: rule.class,
+      rank: rule.rank,
+      outcome: null,
+      reason: null,
+    };
+
+    if (i === 0) {
+      precedence.outcome = entry.transferred ? 'transferred' : 'celebrated';
+      precedence.reason = entry.transferred
+        ? `Transferred from ${entry.transferred.originalDate}: ${entry.transferred.reason}`
+        : ranked.length > 1 ? `Highest precedence (${rule.class})` : 'Only day on this date';
+      if (rule.note) precedence.note = rule.note;
+    } else if (rule.class === 'service') {
+      precedence.outcome = 'additional';
+      precedence.reason = `Separate service alongside ${first.entry.name}`;
+    } else if (rule.class === 'commemoration') {
+      precedence.outcome = 'commemorated';
+      precedence.reason = `Commemoration only; ${first.entry.name} keeps its place`;
+    } else if (first.rule.displaces.includes(rule.class)) {
+      precedence.outcome = 'displaced';
+      precedence.reason = `${first.entry.name} may displace a ${rule.class}`;
+    } else {
+      precedence.outcome = 'displaced';
+      precedence.reason = `${first.entry.name} (${first.rule.class}) outranks ${rule.class}`;
+    }
+
+    return { ...entry, precedence };
+  });
+}
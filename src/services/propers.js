@@ -2,6 +2,10 @@
  * Propers Service — maps liturgical propers from Jumalanpalvelusten kirja
  * to specific church year dates and seasons.
  *
+ * Which propers belong to which holy day is declared in
+ * data/propers-mapping.json and checked against all-days.json and
+ * propers.json by validatePropersMapping().
+ *
  * Source: Kirkkokäsikirja I (Jumalanpalvelusten kirja, 2000)
  */
 
@@ -23,62 +27,31 @@ function loadPropers() {
 
 // ─── Season Mapping ─────────────────────────────────────────────────────────
 
+let mappingData = null;
+
+function loadMapping() {
+  if (mappingData) return mappingData;
+  const raw = readFileSync(join(DATA_DIR, 'propers-mapping.json'), 'utf-8');
+  mappingData = JSON.parse(raw);
+  return mappingData;
+}
+
 /**
- * Map a holy day slug and its metadata to the appropriate liturgical season
- * for propers selection.
+ * The propers mapping of a holy day from data/propers-mapping.json.
  *
  * @param {string} slug - Holy day slug
- * @param {Object} dayData - Parsed day data from Evankeliumikirja
- * @returns {string[]} Matching season keys for propers lookup
+ * @returns {{seasons: string[], kertosaakeet: number[], kyrie: string|null, note?: string}|null}
+ *   null if the day is not mapped
  */
-function getSeasonKeys(slug, dayData) {
-  const keys = [];
-  const period = dayData?.period || '';
-  const season = dayData?.season || '';
-
-  // Specific day mappings
-  if (slug === '1-adventtisunnuntai') keys.push('1-adventtisunnuntai');
-  if (slug.includes('adventti')) keys.push('adventtiaika');
-  if (slug === 'jouluaatto') keys.push('jouluaatto', 'jouluaika');
-  if (slug === 'jouluyo') keys.push('jouluyo', 'jouluaika');
-  if (slug === 'joulupaiva') keys.push('joulupaiva', 'jouluaika');
-  if (slug === 'tapaninpaiva') keys.push('jouluaika');
-  if (slug.includes('sunnuntai-joulusta')) keys.push('jouluaika');
-  if (slug === 'uudenvuodenpaiva') keys.push('jouluaika');
-  if (slug === 'loppiainen') keys.push('loppiainen');
-  if (slug.includes('sunnuntai-loppiaisesta')) keys.push('loppiaisaika', 'paastonaikaa-edeltavat');
-  if (slug.includes('ennen-paastonaikaa')) keys.push('loppiaisaika', 'paastonaikaa-edeltavat');
-  if (slug === 'laskiaissunnuntai') keys.push('loppiaisaika', 'paastonaikaa-edeltavat');
-  if (slug === 'tuhkakeskiviikko') keys.push('paastonaika');
-  if (slug.match(/\d-paastonajan-sunnuntai/)) {
-    keys.push('paastonaika');
-    // 5. paastonajan sunnuntaista lähtien = kärsimysaika
-    const num = parseInt(slug);
-    if (num >= 5) keys.push('karsimysaika');
-  }
-  if (slug === 'palmusunnuntai') keys.push('karsimysaika');
-  if (slug.includes('hiljaisen-viikon')) keys.push('karsimysaika');
-  if (slug === 'kiirastorstai') keys.push('karsimysaika');
-  if (slug === 'pitkaperjantai') keys.push('karsimysaika', 'pitkaperjantai');
-  if (slug === 'hiljainen-lauantai') keys.push('karsimysaika');
-  if (slug === 'paasiaisyo') keys.push('paasiaisyo', 'paasiaispaiva');
-  if (slug === 'paasiaispaiva') keys.push('paasiaispaiva');
-  if (slug === '2-paasiaispaiva') keys.push('paasiaisaika');
-  if (slug.includes('jalkeinen') && slug.includes('paasiai')) keys.push('paasiaisaika');
-  if (slug.match(/\d-sunnuntai-paasiaisesta/)) keys.push('paasiaisaika');
-  if (slug === 'helatorstai') keys.push('helatorstai-helluntaiaatto');
-  if (slug === '6-sunnuntai-paasiaisesta') keys.push('helatorstai-helluntaiaatto');
-  if (slug === 'helluntaiaatto') keys.push('helatorstai-helluntaiaatto');
-  if (slug === 'helluntaipaiva') keys.push('helluntai');
-  if (slug === 'apostolien-paiva') keys.push('apostolien-paiva');
-  if (slug === 'pyhan-henrikin-muistopaiva') keys.push('pyhan-henrikin-muistopaiva');
-  if (slug === 'mikkelinpaiva') keys.push('mikkelinpaiva');
-  if (slug === 'valvomisen-sunnuntai') keys.push('valvomisen-sunnuntai');
-  if (slug === 'tuomiosunnuntai') keys.push('tuomiosunnuntai');
-  if (slug === 'kynttilanpaiva') keys.push('kynttilanpaiva', 'jouluaika');
-  if (slug === 'marian-ilmestyspaiva') keys.push('marian-ilmestyspaiva', 'jouluaika');
-
-  return [...new Set(keys)];
+export function getPropersMapping(slug) {
+  return loadMapping().days[slug] || null;
+}
+
+/**
+ * Season keys of a holy day for propers lookup.
+ */
+function getSeasonKeys(slug) {
+  return getPropersMapping(slug)?.seasons || [];
 }
 
 // ─── Prefaatio Resolution ───────────────────────────────────────────────────
@@ -87,12 +60,11 @@ function getSeasonKeys(slug, dayData) {
  * Get the appropriate preface ending for a given holy day.
  *
  * @param {string} slug - Holy day slug
- * @param {Object} dayData - Parsed day data
  * @returns {Object|null} Matching preface ending
  */
-export function getPrefaatio(slug, dayData) {
+export function getPrefaatio(slug) {
   const propers = loadPropers();
-  const seasonKeys = getSeasonKeys(slug, dayData);
+  const seasonKeys = getSeasonKeys(slug);
 
   for (const prefaatio of propers.prefaatiot) {
     for (const appliesTo of prefaatio.appliesTo) {
@@ -114,91 +86,41 @@ export function getPrefaatio(slug, dayData) {
 /**
  * Get the appropriate Kyrie litany for a given holy day.
  */
-export function getKyrieLitania(slug, dayData) {
-  const propers = loadPropers();
-  const seasonKeys = getSeasonKeys(slug, dayData);
-
-  // Map season keys to Kyrie slugs
-  const kyrieMapping = {
-    '1-adventtisunnuntai': '1-adventtisunnuntai',
-    'adventtiaika': 'adventtiaika',
-    'jouluaatto': 'joulu-jouluaika',
-    'jouluyo': 'joulu-jouluaika',
-    'joulupaiva': 'joulu-jouluaika',
-    'jouluaika': 'joulu-jouluaika',
-    'paastonaika': 'paastonaika',
-    'karsimysaika': 'karsimysaika',
-    'pitkaperjantai': 'pitkaperjantai-hiljainen-lauantai',
-    'paasiaisyo': 'paasiainen-paasiaisaika',
-    'paasiaispaiva': 'paasiainen-paasiaisaika',
-    'paasiaisaika': 'paasiainen-paasiaisaika',
-    'helatorstai-helluntaiaatto': 'helatorstai-helluntaiaatto',
-    'helluntai': 'helluntai',
-  };
-
-  for (const key of seasonKeys) {
-    const kyrieSlug = kyrieMapping[key];
-    if (kyrieSlug) {
-      const litania = propers.kyrieLitaniat.find(k => k.slug === kyrieSlug);
-      if (litania) return litania;
-    }
-  }
-
-  return null;
+export function getKyrieLitania(slug) {
+  const kyrie = getPropersMapping(slug)?.kyrie;
+  if (!kyrie) return null;
+  return loadPropers().kyrieLitaniat.find(k => k.slug === kyrie) || null;
 }
 
 // ─── Kertosäe (Psalm Refrain) Resolution ────────────────────────────────────
 
 /**
- * Get the appropriate psalm refrain for a given holy day.
+ * Get the appropriate psalm refrain for a given holy day: the first of
+ * its refrain numbers.
  */
-export function getKertosae(slug, dayData) {
-  const propers = loadPropers();
-
-  // Map slugs to kertosäe occasion keywords
-  const occasionMap = {
-    '1-adventtisunnuntai': '1. adventtisunnuntai',
-    'adventtiaika': 'Adventtiaikana',
-    'jouluaatto': 'Jouluaattona',
-    'jouluyo': 'Jouluyönä',
-    'joulupaiva': 'joulupäivänä',
-    'tapaninpaiva': 'Tapaninpäivänä',
-    'loppiainen': 'Loppiaisena',
-    'laskiaissunnuntai': 'Laskiaissunnuntaina',
-    'palmusunnuntai': 'Palmusunnuntaina',
-    'kiirastorstai': 'Kiirastorstaina',
-    'pitkaperjantai': 'Pitkäperjantaina',
-    'paasiaisyo': 'Pääsiäisyönä',
-    'paasiaispaiva': 'Pääsiäis',
-    'helluntaipaiva': 'Helluntaina',
-    'pyhan-kolminaisuuden-paiva': 'Pyhän Kolminaisuuden',
-    'reformaation-paiva': 'Uskonpuhdistuksen',
-    'kynttilanpaiva': 'Kynttilänpäivänä',
-    'marian-ilmestyspaiva': 'Marian ilmestyspäivänä',
-    'juhannuspaiva': 'Juhannuspäivänä',
-    'mikkelinpaiva': 'Mikkelinpäivänä',
-    'pyhainpaiva': 'Pyhäinpäivänä',
-    'pyhan-henrikin-muistopaiva': 'Pyhän Henrikin',
-  };
+export function getKertosae(slug) {
+  const [number] = getPropersMapping(slug)?.kertosaakeet || [];
+  if (number === undefined) return null;
+  return loadPropers().kertosaakeet.find(k => k.number === number) || null;
+}
 
-  const keywords = [];
-  if (occasionMap[slug]) keywords.push(occasionMap[slug]);
+// ─── Post-communion Prayer Resolution ───────────────────────────────────────
 
-  // Also match by season
-  const seasonKeys = getSeasonKeys(slug, dayData);
-  for (const key of seasonKeys) {
-    if (key === 'loppiaisaika') keywords.push('Loppiaisaikana');
-    if (key === 'paastonaika') keywords.push('Paastonajan', 'paastonajan');
-    if (key === 'paasiaisaika') keywords.push('Pääsiäisaikana');
-    if (key === 'jouluaika') keywords.push('jouluaikana');
-  }
+/**
+ * Get the seasonal post-communion thanksgiving prayer for a given holy day.
+ * The season keys of the day select the prayer through the
+ * `kiitosrukousEhtoollinen` list of data/propers-mapping.json, most
+ * specific key first. Days outside the seasons of the book (e.g. after
+ * Pentecost) have none.
+ */
+export function getKiitosrukousEhtoollinen(slug) {
+  const propers = loadPropers();
+  const seasonKeys = getSeasonKeys(slug);
 
-  for (const refrain of propers.kertosaakeet) {
-    const occasion = refrain.occasion || '';
-    for (const keyword of keywords) {
-      if (occasion.includes(keyword)) {
-        return refrain;
-      }
+  for (const { season, prayer: prayerSlug } of loadMapping().kiitosrukousEhtoollinen) {
+    if (seasonKeys.includes(season)) {
+      const prayer = propers.kiitosrukouksetEhtoollinen.find(k => k.slug === prayerSlug);
+      if (prayer) return prayer;
     }
   }
 
@@ -208,13 +130,17 @@ export function getKertosae(slug, dayData) {
 // ─── Get All Propers for a Day ──────────────────────────────────────────────
 
 /**
- * Get all applicable propers for a given holy day.
+ * Get all applicable propers for a given holy day. The Easter Vigil
+ * (pääsiäisyö) also gets the Exsultet, or null if the propers data
+ * lacks it.
  */
-export function getPropers(slug, dayData) {
+export function getPropers(slug) {
   return {
-    prefaatio: getPrefaatio(slug, dayData),
-    kyrieLitania: getKyrieLitania(slug, dayData),
-    kertosae: getKertosae(slug, dayData),
+    prefaatio: getPrefaatio(slug),
+    kyrieLitania: getKyrieLitania(slug),
+    kertosae: getKertosae(slug),
+    kiitosrukousEhtoollinen: getKiitosrukousEhtoollinen(slug),
+    ...(slug === 'paasiaisyo' && { exsultet: getExsultet() }),
   };
 }
 
@@ -248,6 +174,13 @@ export function getAllKiitosrukoukset() {
   return loadPropers().kiitosrukoukset;
 }
 
+/**
+ * Get all seasonal post-communion thanksgiving prayers.
+ */
+export function getAllKiitosrukouksetEhtoollinen() {
+  return loadPropers().kiitosrukouksetEhtoollinen;
+}
+
 /**
  * Get all kertosäkeet.
  */
@@ -261,3 +194,65 @@ export function getAllKertosaakeet() {
 export function getImproperia() {
   return loadPropers().improperia;
 }
+
+/**
+ * Get the Exsultet (Easter Vigil), versions A and B, or null if the
+ * propers data was generated without it.
+ */
+export function getExsultet() {
+  return loadPropers().exsultet || null;
+}
+
+// ─── Mapping Validation ─────────────────────────────────────────────────────
+
+/**
+ * Check data/propers-mapping.json against the holy days and the propers.
+ *
+ * Every season key must select a preface ending or a post-communion
+ * prayer, every post-communion prayer, refrain number and Kyrie slug must
+ * exist in propers.json, and every mapped slug must be a day of
+ * all-days.json. Days of
+ * all-days.json missing from the mapping are reported as unmapped.
+ *
+ * @param {Array<{slug: string, name: string}>} days - Holy days (see getAllDays)
+ * @returns {{mapped: number, unmapped: Array<{slug: string, name: string}>, errors: Array<{slug: string, message: string}>}}
+ */
+export function validatePropersMapping(days) {
+  const propers = loadPropers();
+  const { days: mapping, kiitosrukousEhtoollinen } = loadMapping();
+
+  const seasons = new Set([
+    ...propers.prefaatiot.flatMap(p => p.appliesTo),
+    ...kiitosrukousEhtoollinen.map(k => k.season),
+  ]);
+  const prayers = new Set(propers.kiitosrukouksetEhtoollinen.map(k => k.slug));
+  const refrains = new Set(propers.kertosaakeet.map(k => k.number));
+  const kyries = new Set(propers.kyrieLitaniat.map(k => k.slug));
+  const slugs = new Set(days.map(d => d.slug));
+
+  const errors = [];
+  for (const { season, prayer } of kiitosrukousEhtoollinen) {
+    if (!prayers.has(prayer)) errors.push({ slug: season, message: `Unknown post-communion prayer: ${prayer}` });
+  }
+  for (const [slug, entry] of Object.entries(mapping)) {
+    if (!slugs.has(slug)) errors.push({ slug, message: 'Not a holy day of all-days.json' });
+    for (const key of entry.seasons) {
+      if (!seasons.has(key)) errors.push({ slug, message: `Unknown season key: ${key}` });
+    }
+    for (const number of entry.kertosaakeet) {
+      if (!refrains.has(number)) errors.push({ slug, message: `Unknown kertosäe number: ${number}` });
+    }
+    if (entry.kyrie && !kyries.has(entry.kyrie)) {
+      errors.push({ slug, message: `Unknown Kyrie litany: ${entry.kyrie}` });
+    }
+  }
+
+  const unmapped = [];
+  for (const day of days) {
+    if (!(day.slug in mapping) && !unmapped.some(d => d.slug === day.slug)) {
+      unmapped.push({ slug: day.slug, name: day.name });
+    }
+  }
+
+  return { mapped: Object.keys(mapping).length, unmapped, errors };
+}
@@ -0,0 +1,503 @@
+/**
+ * Bible References — parses and formats Finnish Bible references.
+ *
+ * The sources write references in several shapes:
+ *   "Matt. 21:1--9"                   (Evankeliumikirja, all-days.json)
+ *   "8:14–17" + abbreviation "Room."  (lectionary-index.json)
+ *   "Sak. 9: 9."                      (kertosäkeet occasions)
+ *
+ * All of them parse into one canonical object:
+ *   {
+ *     book: 'Matt',                  // OSIS book id
+ *     abbreviation: 'Matt.',         // Finnish abbreviation (Kirkkoraamattu 1992)
+ *     name: 'Evankeliumi Matteuksen mukaan',
+ *     section: 'NT',                 // OT, NT or Apocrypha
+ *     ranges: [
+ *       { from: { chapter: 21, verse: 1 }, to: { chapter: 21, verse: 9 } },
+ *     ],
+ *   }
+ *
+ * A verse may carry a `part` ('a' or 'b'), a whole chapter has `verse: null`,
+ * and ranges in parentheses (optional verses) have `optional: true`.
+ */
+
+// ─── Books ──────────────────────────────────────────────────────────────────
+
+/**
+ * Books of the Bible in canonical order: [id, abbreviation, name, section, ...aliases].
+ */
+const BOOK_TABLE = [
+  ['Gen', '1. Moos.', 'Ensimmäinen Mooseksen kirja', 'OT'],
+  ['Exod', '2. Moos.', 'Toinen Mooseksen kirja', 'OT'],
+  ['Lev', '3. Moos.', 'Kolmas Mooseksen kirja', 'OT'],
+  ['Num', '4. Moos.', 'Neljäs Mooseksen kirja', 'OT'],
+  ['Deut', '5. Moos.', 'Viides Mooseksen kirja', 'OT'],
+  ['Josh', 'Joos.', 'Joosuan kirja', 'OT'],
+  ['Judg', 'Tuom.', 'Tuomarien kirja', 'OT'],
+  ['Ruth', 'Ruut', 'Ruutin kirja', 'OT'],
+  ['1Sam', '1. Sam.', 'Ensimmäinen Samuelin kirja', 'OT'],
+  ['2Sam', '2. Sam.', 'Toinen Samuelin kirja', 'OT'],
+  ['1Kgs', '1. Kun.', 'Ensimmäinen kuninkaiden kirja', 'OT'],
+  ['2Kgs', '2. Kun.', 'Toinen kuninkaiden kirja', 'OT'],
+  ['1Chr', '1. Aik.', 'Ensimmäinen aikakirja', 'OT'],
+  ['2Chr', '2. Aik.', 'Toinen aikakirja', 'OT'],
+  ['Ezra', 'Esra', 'Esran kirja', 'OT'],
+  ['Neh', 'Neh.', 'Nehemian kirja', 'OT'],
+  ['Esth', 'Est.', 'Esterin kirja', 'OT'],
+  ['Job', 'Job', 'Jobin kirja', 'OT'],
+  ['Ps', 'Ps.', 'Psalmien kirja', 'OT', 'Psalmi'],
+  ['Prov', 'Sananl.', 'Sananlaskujen kirja', 'OT'],
+  ['Eccl', 'Saarn.', 'Saarnaajan kirja', 'OT'],
+  ['Song', 'Laul. l.', 'Laulujen laulu', 'OT'],
+  ['Isa', 'Jes.', 'Jesajan kirja', 'OT'],
+  ['Jer', 'Jer.', 'Jeremian kirja', 'OT'],
+  ['Lam', 'Valit.', 'Valitusvirret', 'OT', 'Val.'],
+  ['Ezek', 'Hes.', 'Hesekielin kirja', 'OT'],
+  ['Dan', 'Dan.', 'Danielin kirja', 'OT'],
+  ['Hos', 'Hoos.', 'Hoosean kirja', 'OT'],
+  ['Joel', 'Joel', 'Joelin kirja', 'OT', 'Jooel'],
+  ['Amos', 'Aam.', 'Aamoksen kirja', 'OT'],
+  ['Obad', 'Ob.', 'Obadjan kirja', 'OT'],
+  ['Jonah', 'Joona', 'Joonan kirja', 'OT'],
+  ['Mic', 'Miika', 'Miikan kirja', 'OT'],
+  ['Nah', 'Nah.', 'Nahumin kirja', 'OT'],
+  ['Hab', 'Hab.', 'Habakukin kirja', 'OT'],
+  ['Zeph', 'Sef.', 'Sefanjan kirja', 'OT'],
+  ['Hag', 'Hagg.', 'Haggain kirja', 'OT', 'Hag.'],
+  ['Zech', 'Sak.', 'Sakarjan kirja', 'OT'],
+  ['Mal', 'Mal.', 'Malakian kirja', 'OT'],
+  ['Tob', 'Tob.', 'Tobitin kirja', 'Apocrypha'],
+  ['Jdt', 'Judit', 'Juditin kirja', 'Apocrypha'],
+  ['1Macc', '1. Makk.', 'Ensimmäinen Makkabilaiskirja', 'Apocrypha'],
+  ['2Macc', '2. Makk.', 'Toinen Makkabilaiskirja', 'Apocrypha'],
+  ['Wis', 'Viis.', 'Viisauden kirja', 'Apocrypha'],
+  ['Sir', 'Sir.', 'Sirakin kirja', 'Apocrypha'],
+  ['Bar', 'Bar.', 'Barukin kirja', 'Apocrypha'],
+  ['EpJer', 'Jer. k.', 'Jeremian kirje', 'Apocrypha'],
+  ['PrMan', 'Man. r.', 'Manassen rukous', 'Apocrypha'],
+  ['Matt', 'Matt.', 'Evankeliumi Matteuksen mukaan', 'NT'],
+  ['Mark', 'Mark.', 'Evankeliumi Markuksen mukaan', 'NT'],
+  ['Luke', 'Luuk.', 'Evankeliumi Luukkaan mukaan', 'NT'],
+  ['John', 'Joh.', 'Evankeliumi Johanneksen mukaan', 'NT'],
+  ['Acts', 'Ap. t.', 'Apostolien teot', 'NT'],
+  ['Rom', 'Room.', 'Kirje roomalaisille', 'NT'],
+  ['1Cor', '1. Kor.', 'Ensimmäinen kirje korinttilaisille', 'NT'],
+  ['2Cor', '2. Kor.', 'Toinen kirje korinttilaisille', 'NT'],
+  ['Gal', 'Gal.', 'Kirje galatalaisille', 'NT'],
+  ['Eph', 'Ef.', 'Kirje efesolaisille', 'NT'],
+  ['Phil', 'Fil.', 'Kirje filippiläisille', 'NT'],
+  ['Col', 'Kol.', 'Kirje kolossalaisille', 'NT'],
+  ['1Thess', '1. Tess.', 'Ensimmäinen kirje tessalonikalaisille', 'NT'],
+  ['2Thess', '2. Tess.', 'Toinen kirje tessalonikalaisille', 'NT'],
+  ['1Tim', '1. Tim.', 'Ensimmäinen kirje Timoteukselle', 'NT'],
+  ['2Tim', '2. Tim.', 'Toinen kirje Timoteukselle', 'NT'],
+  ['Titus', 'Tit.', 'Kirje Titukselle', 'NT', 'Tiit.'],
+  ['Phlm', 'Filem.', 'Kirje Filemonille', 'NT'],
+  ['Heb', 'Hepr.', 'Kirje heprealaisille', 'NT'],
+  ['Jas', 'Jaak.', 'Jaakobin kirje', 'NT'],
+  ['1Pet', '1. Piet.', 'Ensimmäinen Pietarin kirje', 'NT'],
+  ['2Pet', '2. Piet.', 'Toinen Pietarin kirje', 'NT'],
+  ['1John', '1. Joh.', 'Ensimmäinen Johanneksen kirje', 'NT'],
+  ['2John', '2. Joh.', 'Toinen Johanneksen kirje', 'NT'],
+  ['3John', '3. Joh.', 'Kolmas Johanneksen kirje', 'NT'],
+  ['Jude', 'Juud.', 'Juudaksen kirje', 'NT'],
+  ['Rev', 'Ilm.', 'Johanneksen ilmestys', 'NT'],
+];
+
+const BOOKS = BOOK_TABLE.map(([id, abbreviation, name, section], order) => ({ id, abbreviation, name, section, order }));
+
+/**
+ * Lookup key for a book name: lowercase without dots or spaces ("1. Moos." → "1moos").
+ */
+function bookKey(name) {
+  return name.toLowerCase().replace(/[.\s]/g, '');
+}
+
+const booksByKey = new Map();
+BOOK_TABLE.forEach(([id, abbreviation, name, , ...aliases], i) => {
+  for (const alias of [id, abbreviation, name, ...aliases]) {
+    booksByKey.set(bookKey(alias), BOOKS[i]);
+  }
+});
+
+/**
+ * Look up a book by OSIS id, Finnish abbreviation or full Finnish name.
+ * Case, dots and spacing are ignored ("1 moos", "Ap.t.", "Kirje roomalaisille").
+ *
+ * @param {string} name
+ * @returns {{id: string, abbreviation: string, name: string, section: string, order: number}|null}
+ */
+export function getBook(name) {
+  if (!name) return null;
+  return booksByKey.get(bookKey(name)) || null;
+}
+
+/**
+ * Get all books in canonical order.
+ */
+export function getBooks() {
+  return BOOKS;
+}
+
+// ─── Parsing ────────────────────────────────────────────────────────────────
+
+// Book name: optional ordinal ("1. "), then words up to the first digit or "("
+const BOOK_PREFIX = /^\s*((?:\d\.?\s*)?[A-Za-zÅÄÖåäö][A-Za-zÅÄÖåäö.\s]*?)\s*(?=\d|\(|$)/;
+
+// Tokens of the passage part, tried in order at the current position
+const TOKENS = [
+  ['space', /\s+/y],
+  ['comma', /,/y],
+  ['semicolon', /;/y],
+  ['chapter', /(\d+):(?=\()/y],
+  ['span', /(–)?(\d+)([ab])?(?::(\d+)([ab])?)?(?:–(\d+)([ab])?(?::(\d+)([ab])?)?)?/y],
+  ['open', /\(/y],
+  ['close', /\)/y],
+];
+
+/**
+ * Normalize the passage part: unify dashes, drop cross-reference notes
+ * such as "(ks. 1. vuosikerta)", spaces after colons and a trailing period.
+ */
+function normalizePassage(text) {
+  return text
+    .replace(/\((?:ks|vrt)\.[^)]*\)/g, '')
+    .replace(/\s*(?:--|[-‐‑‒–—])\s*/g, '–')
+    .replace(/:\s+/g, ':')
+    .replace(/\.\s*$/, '')
+    .trim();
+}
+
+function verse(chapter, number, part) {
+  const v = { chapter, verse: number };
+  if (part) v.part = part;
+  return v;
+}
+
+/**
+ * Parse the chapter and verse part of a reference into ranges.
+ * Returns null if the text is not a well-formed passage.
+ */
+function parsePassage(text) {
+  const s = normalizePassage(text);
+  const ranges = [];
+  let chapter = null;
+  let optional = false;
+  let pos = 0;
+
+  while (pos < s.length) {
+    let matched = null;
+    for (const [type, regex] of TOKENS) {
+      regex.lastIndex = pos;
+      const m = regex.exec(s);
+      if (m && m[0].length > 0) {
+        matched = { type, m };
+        break;
+      }
+    }
+    if (!matched) return null;
+
+    const { type, m } = matched;
+    pos += m[0].length;
+
+    if (type === 'semicolon') chapter = null;
+    else if (type === 'chapter') chapter = Number(m[1]);
+    else if (type === 'open') optional = true;
+    else if (type === 'close') optional = false;
+    else if (type === 'span') {
+      const [, , a, aPart, b, bPart, c, cPart, d, dPart] = m;
+      let from;
+      if (b) {
+        chapter = Number(a);
+        from = verse(chapter, Number(b), bPart);
+      } else if (chapter === null) {
+        from = { chapter: Number(a), verse: null };
+      } else {
+        from = verse(chapter, Number(a), aPart);
+      }
+
+      let to = { ...from };
+      if (d) {
+        chapter = Number(c);
+        to = verse(chapter, Number(d), dPart);
+      } else if (c && from.verse === null) {
+        to = { chapter: Number(c), verse: null };
+      } else if (c) {
+        to = verse(from.chapter, Number(c), cPart);
+      }
+
+      const range = { from, to };
+      if (optional) range.optional = true;
+      ranges.push(range);
+    }
+  }
+
+  return ranges;
+}
+
+const parseCache = new Map();
+
+/**
+ * Parse one Bible reference into its canonical form.
+ * Results are cached and shared between callers; do not mutate them.
+ *
+ * @param {string} text - e.g. "Matt. 21:1--9", "Sak. 9: 9.", "Ap. t. 6:8, 11–15; 7:51–60"
+ * @param {Object} [options]
+ * @param {string} [options.book] - Book for references without one (lectionary index: "8:14–17")
+ * @returns {Object|null} Canonical reference, or null if the text is not a reference
+ */
+export function parseReference(text, { book: bookName } = {}) {
+  if (!text) return null;
+
+  const cacheKey = `${bookName || ''}|${text}`;
+  if (!parseCache.has(cacheKey)) {
+    parseCache.set(cacheKey, parseUncached(text, bookName));
+  }
+  return parseCache.get(cacheKey);
+}
+
+function parseUncached(text, bookName) {
+
+  let book;
+  let passage = text;
+  if (bookName) {
+    book = getBook(bookName);
+  } else {
+    const m = text.match(BOOK_PREFIX);
+    if (!m) return null;
+    book = getBook(m[1]);
+    passage = text.slice(m[0].length);
+  }
+  if (!book) return null;
+
+  const ranges = parsePassage(passage);
+  if (!ranges) return null;
+
+  return {
+    book: book.id,
+    abbreviation: book.abbreviation,
+    name: book.name,
+    section: book.section,
+    ranges,
+  };
+}
+
+/**
+ * Parse every reference in a text. Alternatives ("Jes. 50:4--10 tai Sak. 9:9--10")
+ * and references to several books ("Hepr. 1: 3; Joh. 1: 14") become separate
+ * references; parts that are not references (e.g. an occasion) are skipped.
+ *
+ * @param {string} text
+ * @returns {Array<Object>} Canonical references
+ */
+export function parseReferences(text) {
+  if (!text) return [];
+  return text
+    .split(/\s+tai\s+|;\s*(?=(?:[1-3]\.\s*)?[A-Za-zÅÄÖåäö])/)
+    .map(part => parseReference(part))
+    .filter(Boolean);
+}
+
+// ─── Formatting ─────────────────────────────────────────────────────────────
+
+function formatVerse(v) {
+  return `${v.verse}${v.part || ''}`;
+}
+
+/**
+ * Format the ranges of a reference ("21:1–9", "6:8, 11–15; 7:51–60", "15:1–8 (9–10) 11",
+ * "104:(1–5) 10–15").
+ *
+ * @param {Array} ranges
+ * @returns {string}
+ */
+export function formatPassage(ranges) {
+  let out = '';
+  let prevChapter = null;
+  let prevOptional = false;
+
+  ranges.forEach(({ from, to, optional }, i) => {
+    const whole = from.verse === null;
+    const newChapter = whole || from.chapter !== prevChapter;
+
+    if (i > 0) {
+      out += newChapter ? '; ' : (optional || prevOptional) ? ' ' : ', ';
+    }
+
+    let prefix = '';
+    let text;
+    if (whole) {
+      text = to.chapter !== from.chapter ? `${from.chapter}–${to.chapter}` : `${from.chapter}`;
+    } else {
+      if (newChapter) prefix = `${from.chapter}:`;
+      text = formatVerse(from);
+      if (to.chapter !== from.chapter) {
+        text += `–${to.chapter}:${formatVerse(to)}`;
+      } else if (formatVerse(to) !== formatVerse(from)) {
+        text += `–${formatVerse(to)}`;
+      }
+    }
+
+    out += prefix + (optional ? `(${text})` : text);
+    prevChapter = whole ? null : to.chapter;
+    prevOptional = Boolean(optional);
+  });
+
+  return out;
+}
+
+/**
+ * Format a canonical reference as a display string with en dashes,
+ * e.g. "Matt. 21:1–9".
+ *
+ * @param {Object} ref - Canonical reference from parseReference()
+ * @returns {string}
+ */
+export function formatReference(ref) {
+  const passage = formatPassage(ref.ranges);
+  return passage ? `${ref.abbreviation} ${passage}` : ref.abbreviation;
+}
+
+/**
+ * Normalize a reference string to its display form, or return null if
+ * it cannot be parsed. "Matt. 21:1--9" → "Matt. 21:1–9".
+ *
+ * @param {string} text
+ * @param {Object} [options] - See parseReference()
+ * @returns {string|null}
+ */
+export function normalizeReference(text, options) {
+  const ref = parseReference(text, options);
+  return ref ? formatReference(ref) : null;
+}
+
+// ─── Matching ───────────────────────────────────────────────────────────────
+
+/**
+ * Whether a reference matches a search query reference.
+ *
+ * The books must be the same. A query without chapters matches every
+ * reference to the book, a whole-chapter query ("Matt. 5") matches references
+ * touching that chapter, and a verse query matches references that contain
+ * each queried range ("Ap. t. 7:51–60" matches "Ap. t. 6:8, 11–15; 7:51–60").
+ * A single verse matches ranges starting at it ("Matt. 5:1" matches "Matt. 5:1–12").
+ *
+ * @param {Object} ref - Canonical reference
+ * @param {Object} query - Canonical query reference
+ * @returns {boolean}
+ */
+export function referenceMatches(ref, query) {
+  if (ref.book !== query.book) return false;
+  if (query.ranges.length === 0) return true;
+
+  if (query.ranges.every(r => r.from.verse === null)) {
+    return query.ranges.some(q => ref.ranges.some(r =>
+      r.from.chapter <= q.to.chapter && r.to.chapter >= q.from.chapter
+    ));
+  }
+
+  const same = (a, b) => a.chapter === b.chapter && a.verse === b.verse;
+  return query.ranges.every(q => ref.ranges.some(r =>
+    same(r.from, q.from) && (same(r.to, q.to) || same(q.from, q.to))
+  ));
+}
+
+// ─── Overlap ────────────────────────────────────────────────────────────────
+
+// Verse positions: chapter * 1000 + verse. A whole chapter spans verses 0–999.
+const CHAPTER_SIZE = 1000;
+
+/**
+ * Turn the ranges of a reference into sorted, merged [start, end] intervals.
+ * Optional verses count as part of the passage; verse parts (a/b) are ignored.
+ */
+function toIntervals(ranges) {
+  const intervals = ranges
+    .map(({ from, to }) => [
+      from.chapter * CHAPTER_SIZE + (from.verse ?? 0),
+      to.chapter * CHAPTER_SIZE + (to.verse ?? CHAPTER_SIZE - 1),
+    ])
+    .sort((a, b) => a[0] - b[0]);
+
+  const merged = [];
+  for (const [start, end] of intervals) {
+    const last = merged.at(-1);
+    if (last && start <= last[1] + 1) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  }
+  return merged;
+}
+
+/**
+ * Intersection of two interval lists.
+ */
+function intersect(a, b) {
+  const out = [];
+  for (const [aStart, aEnd] of a) {
+    for (const [bStart, bEnd] of b) {
+      const start = Math.max(aStart, bStart);
+      const end = Math.min(aEnd, bEnd);
+      if (start <= end) out.push([start, end]);
+    }
+  }
+  return out;
+}
+
+/**
+ * Total number of verse positions in an interval list.
+ */
+function size(intervals) {
+  return intervals.reduce((n, [start, end]) => n + end - start + 1, 0);
+}
+
+/**
+ * Turn intervals back into ranges. Chapters start at verse 1; an interval
+ * running to the end of a chapter (whose verse count is unknown) becomes
+ * the whole chapter(s).
+ */
+function toRanges(intervals) {
+  return intervals.map(([start, end]) => {
+    const from = { chapter: Math.floor(start / CHAPTER_SIZE), verse: Math.max(start % CHAPTER_SIZE, 1) };
+    const to = { chapter: Math.floor(end / CHAPTER_SIZE), verse: end % CHAPTER_SIZE };
+    if (to.verse === CHAPTER_SIZE - 1) {
+      return { from: { chapter: from.chapter, verse: null }, to: { chapter: to.chapter, verse: null } };
+    }
+    return { from, to };
+  });
+}
+
+/**
+ * Compare the verse ranges of a reference with a query reference.
+ *
+ * The relation is, from the point of view of the reference:
+ *   'equal'    — the same verses
+ *   'contains' — the reference includes all queried verses
+ *   'within'   — the reference lies inside the queried verses
+ *   'overlaps' — some verses are shared
+ *
+ * @param {Object} ref - Canonical reference
+ * @param {Object} query - Canonical query reference
+ * @returns {{relation: string, shared: string}|null} null if no verses are shared
+ */
+export function compareReferences(ref, query) {
+  if (ref.book !== query.book) return null;
+
+  const refIntervals = toIntervals(ref.ranges);
+  const queryIntervals = toIntervals(query.ranges);
+  const shared = intersect(refIntervals, queryIntervals);
+  if (shared.length === 0) return null;
+
+  const sharedSize = size(shared);
+  const containsQuery = sharedSize === size(queryIntervals);
+  const withinQuery = sharedSize === size(refIntervals);
+
+  const relation = containsQuery && withinQuery ? 'equal'
+    : containsQuery ? 'contains'
+    : withinQuery ? 'within'
+    : 'overlaps';
+
+  return {
+    relation,
+    shared: formatReference({ ...ref, ranges: toRanges(shared) }),
+  };
+}
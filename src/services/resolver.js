@@ -20,6 +20,10 @@ import {
   sameDay,
 } from './computus.js';
 import { getPropers } from './propers.js';
+import { getSeasonalRules, isUsed } from './rules.js';
+import { getWeekdayReadings } from './lectionary.js';
+import { resolvePrecedence } from './precedence.js';
+import { resolveColor, describeColor } from './colors.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const DATA_DIR = join(__dirname, '..', 'data');
@@ -109,12 +113,13 @@ export function resolveDate(date) {
       },
       holyDay: null,
       precedingSunday: precedingSunday ? enrichEntry(precedingSunday, yearCycle) : null,
+      dailyTexts: getDailyTexts(calendar, date, null),
       dayOfWeek: getDayOfWeekFi(date),
       season: precedingSunday ? getSeason(precedingSunday) : null,
     };
   }
 
-  // Determine primary entry (precedence: feast > special > sunday > weekday > service)
+  // Determine primary entry from the precedence table
   const prioritized = prioritizeEntries(matches);
   const primary = prioritized[0];
 
@@ -127,6 +132,7 @@ export function resolveDate(date) {
     },
     holyDay: enrichEntry(primary, yearCycle),
     additionalServices: prioritized.slice(1).map(e => enrichEntry(e, yearCycle)),
+    dailyTexts: getDailyTexts(calendar, date, primary),
     dayOfWeek: getDayOfWeekFi(date),
     season: getSeason(primary),
   };
@@ -143,6 +149,10 @@ function enrichEntry(entry, yearCycle) {
     slug: entry.slug,
     date: entry.dateStr,
     type: entry.type,
+    ...(entry.transferred && { transferred: entry.transferred }),
+    ...(entry.overrides && { overrides: entry.overrides }),
+    ...(entry.overriddenBy && { overriddenBy: entry.overriddenBy }),
+    ...(entry.precedence && { precedence: entry.precedence }),
     liturgicalColor: data?.liturgicalColor || null,
     description: data?.description || null,
     latinName: data?.latinName || null,
@@ -183,30 +193,40 @@ function enrichEntry(entry, yearCycle) {
     result.texts = data.weekdayTexts;
   }
 
+  // Seasonal rules for the Gloria, Halleluja, Te Deum and blessing
+  const rules = getSeasonalRules(entry.slug, data);
+
   // Add psalm, hallelujah, prayers, hymns
   if (data?.psalm) result.psalm = data.psalm;
-  if (data?.hallelujah) result.hallelujah = data.hallelujah;
+  if (data?.hallelujah && isUsed(rules, 'hallelujah')) result.hallelujah = data.hallelujah;
   if (data?.psalmVerse) result.psalmVerse = data.psalmVerse;
   if (data?.prayers) result.prayers = data.prayers;
   if (data?.hymns) result.hymns = data.hymns;
 
   // Add liturgical propers from Jumalanpalvelusten kirja
-  const propers = getPropers(entry.slug, data);
-  if (propers.prefaatio || propers.kyrieLitania || propers.kertosae) {
+  const propers = getPropers(entry.slug);
+  if (Object.values(propers).some(Boolean)) {
     result.propers = propers;
   }
+  result.seasonalRules = rules;
 
   return result;
 }
 
 /**
- * Prioritize entries when multiple fall on the same date.
- * Order: feast > special > sunday > weekday > service
+ * Prioritize entries when multiple fall on the same date, using the
+ * precedence table (see services/precedence.js). Each entry gets a
+ * `precedence` object with its outcome and the reason.
+ *
+ * A Sunday whose slot has been taken over by another entry on the same date
+ * (see `overrides` in generateChurchYear) is marked with `overriddenBy`.
  */
 function prioritizeEntries(entries) {
-  const priority = { feast: 1, special: 2, sunday: 3, weekday: 4, service: 5 };
-  return [...entries].sort((a, b) => {
-    return (priority[a.type] || 9) - (priority[b.type] || 9);
+  const sorted = resolvePrecedence(entries);
+
+  return sorted.map(entry => {
+    const overriding = sorted.find(o => o.overrides === entry.slug);
+    return overriding ? { ...entry, overriddenBy: overriding.slug } : entry;
   });
 }
 
@@ -225,8 +245,94 @@ function findPrecedingSunday(calendar, date) {
   return best;
 }
 
+// ─── Daily Texts ────────────────────────────────────────────────────────────
+
 /**
- * Determine the liturgical season for a calendar entry.
+ * Get the daily readings for a weekday (Monday–Saturday).
+ *
+ * Weeks with their own weekday texts in the Evankeliumikirja (e.g. the week
+ * after 1st Advent) use them in order: Monday gets the first OT/NT pair,
+ * Tuesday the second, and so on. The lists are not repeated: days past
+ * their end, like other days, use the viikkolektionaari: the
+ * readings of a weekday holy day itself, or else the morning and evening
+ * readings of that weekday in the week of the most recent Sunday or feast.
+ * On Saturdays the evening reading is the eve (aattoilta) reading of the
+ * following Sunday.
+ *
+ * @param {Array} calendar - Church year calendar containing the date
+ * @param {Date} date
+ * @param {Object|null} primary - Primary calendar entry on the date, if any
+ * @returns {Object|null} `{ source, week, readings }`, or null on Sundays
+ */
+function getDailyTexts(calendar, date, primary) {
+  const dow = date.getUTCDay();
+  if (dow === 0) return null;
+
+  const weekdayTexts = primary?.type === 'weekday' ? getDayData(primary.slug)?.weekdayTexts : null;
+  const ot = weekdayTexts?.otReadings?.[dow - 1];
+  const nt = weekdayTexts?.ntReadings?.[dow - 1];
+  if (ot || nt) {
+    return {
+      source: 'evankeliumikirja',
+      week: primary.name,
+      readings: [
+        ot && { section: 'OT', ...ot },
+        nt && { section: 'NT', ...nt },
+      ].filter(Boolean),
+    };
+  }
+
+  // Weekday holy days with their own morning/evening readings
+  if (primary) {
+    const own = getWeekdayReadings(primary.name, 'paiva');
+    if (own.length > 0) {
+      return { source: 'viikkolektionaari', week: primary.name, readings: own };
+    }
+  }
+
+  const day = getDayOfWeekFi(date);
+
+  // Week heads: Sundays and feasts since the last Sunday, most recent first
+  const weekStart = addDays(date, -dow);
+  const heads = [];
+  for (let d = addDays(date, -1); d >= weekStart; d = addDays(d, -1)) {
+    const dStr = formatDate(d);
+    heads.push(...prioritizeEntries(calendar.filter(e => e.dateStr === dStr && e.type !== 'weekday' && e.type !== 'service')));
+  }
+
+  let week = null;
+  let readings = [];
+  for (const head of heads) {
+    readings = getWeekdayReadings(head.name, day);
+    if (readings.length > 0) {
+      week = head.name;
+      break;
+    }
+  }
+
+  if (dow === 6) {
+    const nextSunday = addDays(date, 1);
+    const nextStr = formatDate(nextSunday);
+    const nextEntries = prioritizeEntries(
+      getCalendar(getChurchYearStart(nextSunday)).filter(e => e.dateStr === nextStr && e.type !== 'service')
+    );
+    for (const entry of nextEntries) {
+      const eve = getWeekdayReadings(entry.name, 'aatto');
+      if (eve.length > 0) {
+        readings = [...readings, ...eve];
+        week = week || entry.name;
+        break;
+      }
+    }
+  }
+
+  if (readings.length === 0) return null;
+  return { source: 'viikkolektionaari', week, readings };
+}
+
+/**
+ * Determine the liturgical season for a calendar entry: its own season in
+ * the Evankeliumikirja, or else the season its date falls in.
  */
 function getSeason(entry) {
   if (!entry) return null;
@@ -234,18 +340,7 @@ function getSeason(entry) {
   const data = getDayData(entry.slug);
   if (data?.season) return data.season;
 
-  // Infer from slug
-  const slug = entry.slug;
-  if (slug.includes('adventti') || slug.includes('advent')) return 'Joulujakso';
-  if (slug.includes('joulu') || slug.includes('christmas')) return 'Joulujakso';
-  if (slug.includes('loppiai')) return 'Joulujakso';
-  if (slug.includes('paasto') || slug.includes('laskiai')) return 'Pääsiäisjakso';
-  if (slug.includes('hiljai') || slug.includes('kiiras') || slug.includes('pitkap') || slug.includes('palmu')) return 'Pääsiäisjakso';
-  if (slug.includes('paasiai')) return 'Pääsiäisjakso';
-  if (slug.includes('helluntai') || slug.includes('kolminai') || slug.includes('helatorstai')) return 'Helluntaijakso';
-  if (slug.includes('shel') || slug.includes('helluntaista')) return 'Helluntaijakso';
-
-  return null;
+  return findSeason(entry.date)?.name || null;
 }
 
 /**
@@ -276,39 +371,298 @@ export function getChurchYearCalendar(startYear) {
       slug: e.slug,
       name: e.name,
       type: e.type,
+      ...(e.transferred && { transferred: e.transferred }),
+      ...(e.overrides && { overrides: e.overrides }),
     })),
   };
 }
 
+// ─── Seasons ────────────────────────────────────────────────────────────────
+
+/** Section of the Evankeliumikirja holding days that are not a season. */
+const SPECIAL_DAYS = 'Erityispyhät';
+
+const seasonCache = new Map();
+
 /**
- * Get entries for a specific season.
+ * Make a URL slug of a season or period name.
  */
-export function getSeasonEntries(startYear, season) {
+function seasonSlug(name) {
+  return name.toLowerCase().replace(/[äå]/g, 'a').replace(/ö/g, 'o').replace(/\s+/g, '-');
+}
+
+/**
+ * Build the season model of a church year: the jaksot (Joulujakso,
+ * Pääsiäisjakso, Helluntaijakso), each divided into ajat (the `period`
+ * values in all-days.json), with computed start and end dates.
+ *
+ * A period starts on the first calendar entry belonging to it and ends the
+ * day before the next period starts; the last one ends the day before the
+ * next 1st Advent. Erityispyhät form no season of their own and are listed
+ * among the days of the period they fall in.
+ */
+function buildSeasons(startYear) {
+  if (seasonCache.has(startYear)) return seasonCache.get(startYear);
   loadData();
 
-  const seasonMap = {
-    advent: 'Adventtiaika',
-    christmas: 'Jouluaika',
-    epiphany: 'Loppiaisaika',
-    lent: 'Paastonaika',
-    easter: 'Pääsiäisaika',
-    pentecost: 'Helluntain jälkeinen aika',
+  const calendar = getCalendar(startYear);
+  const seasons = [];
+  let period = null;
+
+  for (const entry of calendar) {
+    const data = getDayData(entry.slug);
+    if (data.season !== SPECIAL_DAYS && data.period !== period?.name) {
+      let season = seasons[seasons.length - 1];
+      if (season?.name !== data.season) {
+        season = { name: data.season, slug: seasonSlug(data.season), periods: [] };
+        seasons.push(season);
+      }
+      period = { name: data.period, slug: seasonSlug(data.period), start: entry.date, days: [] };
+      season.periods.push(period);
+    }
+    period.days.push({ date: entry.dateStr, slug: entry.slug, name: entry.name, type: entry.type });
+  }
+
+  const periods = seasons.flatMap(s => s.periods);
+  const yearEnd = addDays(getCalendar(startYear + 1)[0].date, -1);
+  periods.forEach((p, i) => {
+    p.end = formatDate(i + 1 < periods.length ? addDays(periods[i + 1].start, -1) : yearEnd);
+    p.start = formatDate(p.start);
+  });
+  for (const season of seasons) {
+    season.start = season.periods[0].start;
+    season.end = season.periods[season.periods.length - 1].end;
+  }
+
+  seasonCache.set(startYear, seasons);
+  return seasons;
+}
+
+/**
+ * Find the season (jakso) a date falls in.
+ */
+function findSeason(date) {
+  const dateStr = formatDate(date);
+  return buildSeasons(getChurchYearStart(date)).find(s => s.start <= dateStr && dateStr <= s.end) || null;
+}
+
+/**
+ * Get the seasons and periods of a church year with their start and end
+ * dates.
+ */
+export function getSeasons(startYear) {
+  return {
+    churchYear: {
+      start: startYear,
+      label: `${startYear}–${startYear + 1}`,
+      yearCycle: getYearCycle(startYear),
+    },
+    seasons: buildSeasons(startYear).map(({ name, slug, start, end, periods }) => ({
+      name,
+      slug,
+      start,
+      end,
+      periods: periods.map(p => ({ name: p.name, slug: p.slug, start: p.start, end: p.end })),
+    })),
   };
+}
 
-  const periodName = seasonMap[season.toLowerCase()];
-  if (!periodName) return null;
+/**
+ * Get one season (e.g. `paasiaisjakso`) or period (e.g. `paastonaika`) of
+ * a church year with its dates and calendar entries.
+ *
+ * @param {number} startYear
+ * @param {string} season - Season or period slug
+ * @returns {Object|null} null if no season or period has the slug
+ */
+export function getSeasonEntries(startYear, season) {
+  const seasons = buildSeasons(startYear);
+  const churchYear = {
+    start: startYear,
+    label: `${startYear}–${startYear + 1}`,
+    yearCycle: getYearCycle(startYear),
+  };
 
-  const calendar = getCalendar(startYear);
-  const yearCycle = getYearCycle(startYear);
+  const found = seasons.find(s => s.slug === season);
+  if (found) {
+    return {
+      churchYear,
+      season: {
+        name: found.name,
+        slug: found.slug,
+        kind: 'jakso',
+        start: found.start,
+        end: found.end,
+        periods: found.periods.map(p => ({ name: p.name, slug: p.slug, start: p.start, end: p.end })),
+        days: found.periods.flatMap(p => p.days),
+      },
+    };
+  }
 
-  const matching = calendar.filter(e => {
-    const data = getDayData(e.slug);
-    return data?.period === periodName || data?.season?.toLowerCase().includes(season.toLowerCase());
-  });
+  for (const parent of seasons) {
+    const period = parent.periods.find(p => p.slug === season);
+    if (period) {
+      return {
+        churchYear,
+        season: {
+          name: period.name,
+          slug: period.slug,
+          kind: 'aika',
+          start: period.start,
+          end: period.end,
+          parent: { name: parent.name, slug: parent.slug },
+          days: period.days,
+        },
+      };
+    }
+  }
+
+  return null;
+}
+
+// ─── Occurrences & Ranges ───────────────────────────────────────────────────
+
+const FIRST_YEAR = 1900;
+const LAST_YEAR = 2100;
+
+/**
+ * Describe one date a holy day falls on: the year cycle in force and how the
+ * day fares against other entries on the same date.
+ */
+function describeOccurrence(calendar, entry, churchYearStart) {
+  const sameDate = prioritizeEntries(calendar.filter(e => e.dateStr === entry.dateStr));
+  const resolved = sameDate.find(e => e.slug === entry.slug);
+
+  return {
+    date: entry.dateStr,
+    dayOfWeek: getDayOfWeekFi(entry.date),
+    churchYear: `${churchYearStart}–${churchYearStart + 1}`,
+    yearCycle: getYearCycle(churchYearStart),
+    type: entry.type,
+    ...(entry.transferred && { transferred: entry.transferred }),
+    precedence: resolved.precedence,
+  };
+}
+
+/**
+ * Find the dates a holy day falls on around a given date.
+ *
+ * Scans the cached church year calendars forward for the next `count` dates
+ * (including `from` itself) and backward for the `past` dates before it,
+ * within 1900–2100. A week slug yields each of its weekdays.
+ *
+ * @param {string} slug - Holy day slug
+ * @param {Date|string} from - Date object or YYYY-MM-DD string
+ * @param {Object} [options]
+ * @param {number} [options.count=5] - Number of upcoming dates
+ * @param {number} [options.past=0] - Number of previous dates
+ * @returns {Object|null} `{ slug, name, from, next, past }`, or null for an unknown slug
+ */
+export function getOccurrences(slug, from, { count = 5, past = 0 } = {}) {
+  const data = getDayData(slug);
+  if (!data) return null;
+
+  if (typeof from === 'string') {
+    from = parseDate(from);
+  }
+  const fromStr = formatDate(from);
+  const start = getChurchYearStart(from);
+
+  const next = [];
+  for (let year = start; year <= LAST_YEAR && next.length < count; year++) {
+    const calendar = getCalendar(year);
+    for (const entry of calendar) {
+      if (next.length >= count) break;
+      if (entry.slug === slug && entry.dateStr >= fromStr) {
+        next.push(describeOccurrence(calendar, entry, year));
+      }
+    }
+  }
+
+  const previous = [];
+  for (let year = start; year >= FIRST_YEAR && previous.length < past; year--) {
+    const calendar = getCalendar(year);
+    for (let i = calendar.length - 1; i >= 0 && previous.length < past; i--) {
+      const entry = calendar[i];
+      if (entry.slug === slug && entry.dateStr < fromStr) {
+        previous.push(describeOccurrence(calendar, entry, year));
+      }
+    }
+  }
+
+  return { slug, name: data.name, from: fromStr, next, past: previous };
+}
 
+/**
+ * Summarize a resolved entry for list views.
+ */
+function summarizeEntry(entry) {
   return {
-    season,
-    churchYear: { start: startYear, label: `${startYear}–${startYear + 1}`, yearCycle },
-    entries: matching.map(e => enrichEntry(e, yearCycle)),
+    name: entry.name,
+    slug: entry.slug,
+    type: entry.type,
+    liturgicalColor: entry.liturgicalColor,
+    ...(entry.transferred && { transferred: entry.transferred }),
+    ...(entry.precedence && { precedence: entry.precedence }),
   };
 }
+
+/**
+ * Find the day whose color applies on a date: the celebrated day, or when
+ * it has no color of its own, the preceding Sunday or feast.
+ */
+function getColorDay(holyDay, date) {
+  if (holyDay?.liturgicalColor) return holyDay;
+  const sunday = findPrecedingSunday(getCalendar(getChurchYearStart(date)), date);
+  return sunday
+    ? { name: sunday.name, date: sunday.dateStr, liturgicalColor: getDayData(sunday.slug)?.liturgicalColor || null }
+    : null;
+}
+
+/**
+ * Resolve the single liturgical color of a date (see services/colors.js).
+ *
+ * @param {Date|string} date
+ * @returns {{holyDay: string|null, color: Object|null}} The day governing the color and the color
+ */
+export function getDateColor(date) {
+  if (typeof date === 'string') date = parseDate(date);
+  const day = getColorDay(resolveDate(date).holyDay, date);
+  return { holyDay: day?.name || null, color: day && resolveColor(day.liturgicalColor, date, parseDate(day.date)) };
+}
+
+/**
+ * Resolve every date from `from` to `to` (inclusive) in summary form:
+ * the celebrated day, other entries on the date, for ordinary weekdays
+ * the preceding Sunday, and the color of the date. Texts are left out;
+ * use resolveDate() for the full data of a single date.
+ *
+ * @param {Date|string} from
+ * @param {Date|string} to
+ * @returns {Array<Object>}
+ */
+export function resolveRange(from, to) {
+  if (typeof from === 'string') from = parseDate(from);
+  if (typeof to === 'string') to = parseDate(to);
+
+  const days = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const resolved = resolveDate(date);
+    const colorDay = getColorDay(resolved.holyDay, date);
+    const color = colorDay && resolveColor(colorDay.liturgicalColor, date, parseDate(colorDay.date));
+    days.push({
+      date: resolved.date,
+      dayOfWeek: resolved.dayOfWeek,
+      churchYear: resolved.churchYear.label,
+      yearCycle: resolved.churchYear.yearCycle,
+      holyDay: resolved.holyDay ? summarizeEntry(resolved.holyDay) : null,
+      ...(resolved.holyDay
+        ? { additionalServices: resolved.additionalServices.map(summarizeEntry) }
+        : { precedingSunday: resolved.precedingSunday ? summarizeEntry(resolved.precedingSunday) : null }),
+      season: resolved.season,
+      liturgicalColor: color?.fi || null,
+      color: color ? describeColor(color.id) : null,
+    });
+  }
+  return days;
+}
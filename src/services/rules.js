@@ -0,0 +1,126 @@
+/**
+ * Seasonal Rules — which ordinary parts of the service are used, omitted
+ * or replaced on a holy day.
+ *
+ * The Evankeliumikirja gives the Halleluja verse or, in Lent, the psalm
+ * verse that replaces it, but the rubrics of the Jumalanpalvelusten kirja
+ * also leave out the Gloria and the Te Deum in Advent and Lent, and end
+ * the Good Friday services without the blessing. Each rule below names the
+ * part it governs, where it applies and the rubric it stands for.
+ */
+
+const SOURCE = 'Jumalanpalvelusten kirja (2000)';
+
+/**
+ * Ordinary parts governed by the rules, with their names in the service
+ * book.
+ */
+export const ORDINARY_PARTS = {
+  gloria: 'Kunnia Jumalalle korkeuksissa (Gloria)',
+  hallelujah: 'Halleluja',
+  teDeum: 'Jumala, sinua me kiitämme (Te Deum)',
+  blessing: 'Herran siunaus',
+};
+
+const GOOD_FRIDAY = ['pitkaperjantai', 'jeesuksen-kuolinhetki', 'pitkaperjantain-ilta'];
+
+/**
+ * Seasonal rules in order; the first rule that applies to a part wins.
+ *
+ * A rule applies to the days of its `periods` (see the `period` of a day
+ * in all-days.json) or to its `slugs`, except the days in `except`.
+ */
+const RULES = [
+  {
+    id: 'gloria-adventtiaika',
+    part: 'gloria',
+    status: 'omitted',
+    periods: ['Adventtiaika'],
+    except: ['1-adventtisunnuntai'],
+    text: 'Adventtiaikana Kunnia Jumalalle korkeuksissa jätetään pois, paitsi 1. adventtisunnuntaina.',
+  },
+  {
+    id: 'gloria-paastonaika',
+    part: 'gloria',
+    status: 'omitted',
+    periods: ['Paastonaika'],
+    except: ['kiirastorstai'],
+    text: 'Paastonaikana Kunnia Jumalalle korkeuksissa jätetään pois, paitsi kiirastorstaina.',
+  },
+  {
+    id: 'halleluja-paastonaika',
+    part: 'hallelujah',
+    status: 'replaced',
+    replacement: 'psalmVerse',
+    periods: ['Paastonaika'],
+    text: 'Paastonaikana halleluja korvataan psalmilauseella.',
+  },
+  {
+    id: 'te-deum-adventtiaika',
+    part: 'teDeum',
+    status: 'omitted',
+    periods: ['Adventtiaika'],
+    text: 'Adventtiaikana Te Deum jätetään pois.',
+  },
+  {
+    id: 'te-deum-paastonaika',
+    part: 'teDeum',
+    status: 'omitted',
+    periods: ['Paastonaika'],
+    text: 'Paastonaikana Te Deum jätetään pois.',
+  },
+  {
+    id: 'siunaus-pitkaperjantai',
+    part: 'blessing',
+    status: 'omitted',
+    slugs: GOOD_FRIDAY,
+    text: 'Pitkäperjantain jumalanpalvelus päättyy hiljaisuuteen ilman Herran siunausta.',
+  },
+];
+
+/**
+ * Whether a rule applies to a day.
+ */
+function applies(rule, slug, period) {
+  if (rule.except?.includes(slug)) return false;
+  return Boolean(rule.slugs?.includes(slug) || rule.periods?.includes(period));
+}
+
+/**
+ * The rules of a holy day: for each ordinary part, whether it is used,
+ * omitted or replaced, and the rule that says so.
+ *
+ * @param {string} slug - Holy day slug
+ * @param {Object|null} dayData - Result of getDayData
+ * @returns {Object} By part (see ORDINARY_PARTS):
+ *   `{ name, status, replacement?, rule: { id, text, source } | null }`
+ */
+export function getSeasonalRules(slug, dayData) {
+  const period = dayData?.period;
+  const result = {};
+
+  for (const [part, name] of Object.entries(ORDINARY_PARTS)) {
+    const rule = RULES.find(r => r.part === part && applies(r, slug, period));
+    result[part] = rule
+      ? {
+        name,
+        status: rule.status,
+        ...(rule.replacement && { replacement: rule.replacement }),
+        rule: { id: rule.id, text: rule.text, source: SOURCE },
+      }
+      : { name, status: 'used', rule: null };
+  }
+
+  return result;
+}
+
+/**
+ * Whether an ordinary part is used on a day with the given rules.
+ *
+ * @param {Object} rules - Result of getSeasonalRules
+ * @param {string} part - Key of ORDINARY_PARTS
+ * @returns {boolean}
+ */
+export function isUsed(rules, part) {
+  return rules[part]?.status === 'used';
+}
@@ -6,13 +6,44 @@ import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
 import {
   easterSunday,
+  orthodoxEasterSunday,
   formatDate,
   makeDate,
   generateChurchYear,
   getYearCycle,
   getChurchYearStart,
+  todayInTimeZone,
 } from '../services/computus.js';
-import { resolveDate, getDayData } from '../services/resolver.js';
+import {
+  resolveDate, getDayData, getAllDays, getOccurrences, resolveRange, getSeasons, getSeasonEntries, getDateColor,
+} from '../services/resolver.js';
+import { getICalendar, getChurchYearEvents } from '../services/ical.js';
+import { generateOrthodoxYear, resolveOrthodoxDate } from '../services/orthodox.js';
+import { parseReference, parseReferences, formatReference, getBook, compareReferences } from '../services/references.js';
+import { parseColorRule, resolveColor } from '../services/colors.js';
+import { getKiitosrukousEhtoollinen, getPropers, getExsultet, validatePropersMapping } from '../services/propers.js';
+import { registerRoutes, RAW_RESPONSE } from '../routes/api.js';
+import { STATUS } from '../routes/validation.js';
+import { Router } from '../routes/router.js';
+import { cacheHeaders, isNotModified, getDataModified, CACHE_CONTROL } from '../routes/caching.js';
+import { negotiateEncoding, compress } from '../routes/compression.js';
+import { shapeResponse } from '../routes/shaping.js';
+import { splitFormat, negotiateFormat } from '../routes/formats.js';
+import { dateDocument, holyDayDocument, renderDocument } from '../services/documents.js';
+import { parseExsultet } from '../parsers/parse-jpkirja.js';
+import { getOrderOfService } from '../services/liturgy.js';
+import { getSeasonalRules } from '../services/rules.js';
+import { gunzipSync, brotliDecompressSync } from 'zlib';
+import { readFileSync } from 'fs';
+
+/**
+ * Collect registered route handlers by pattern, without starting a server.
+ */
+function collectRoutes(options) {
+  const handlers = new Map();
+  registerRoutes({ get: (pattern, handler) => handlers.set(pattern, handler) }, options);
+  return handlers;
+}
 
 // ─── Easter Calculation ─────────────────────────────────────────────────────
 
@@ -36,6 +67,26 @@ describe('Computus — Easter calculation', () => {
       assert.equal(formatDate(easterSunday(year)), expected);
     });
   }
+
+  const knownOrthodoxEasters = [
+    [2020, '2020-04-19'],
+    [2021, '2021-05-02'],
+    [2022, '2022-04-24'],
+    [2023, '2023-04-16'],
+    [2024, '2024-05-05'],
+    [2025, '2025-04-20'],
+    [2026, '2026-04-12'],
+    [2027, '2027-05-02'],
+    [2028, '2028-04-16'],
+    [2029, '2029-04-08'],
+    [2030, '2030-04-28'],
+  ];
+
+  for (const [year, expected] of knownOrthodoxEasters) {
+    it(`Orthodox Pascha ${year} = ${expected}`, () => {
+      assert.equal(formatDate(orthodoxEasterSunday(year)), expected);
+    });
+  }
 });
 
 // ─── Church Year Generation ─────────────────────────────────────────────────
@@ -58,6 +109,18 @@ describe('Church year generation', () => {
     assert.equal(christmas.dateStr, '2025-12-25');
   });
 
+  it('adds Jouluyö and Jouluaamu services', () => {
+    const calendar = generateChurchYear(2025);
+    const jouluyo = calendar.find(e => e.slug === 'jouluyo');
+    assert.ok(jouluyo);
+    assert.equal(jouluyo.dateStr, '2025-12-24');
+    assert.equal(jouluyo.type, 'service');
+    const jouluaamu = calendar.find(e => e.slug === 'jouluaamu');
+    assert.ok(jouluaamu);
+    assert.equal(jouluaamu.dateStr, '2025-12-25');
+    assert.equal(jouluaamu.type, 'service');
+  });
+
   it('places Easter correctly for 2025–2026', () => {
     const calendar = generateChurchYear(2025);
     const easter = calendar.find(e => e.slug === 'paasiaispaiva');
@@ -99,6 +162,41 @@ describe('Church year generation', () => {
     assert.ok(hvMa, 'Holy Monday should exist');
     assert.equal(hvMa.dateStr, '2026-03-30');
   });
+
+  it('places Marian ilmestyspäivä on the Sunday between Mar 22–28', () => {
+    const calendar = generateChurchYear(2025);
+    const annunciation = calendar.find(e => e.slug === 'marian-ilmestyspaiva');
+    assert.ok(annunciation);
+    assert.equal(annunciation.dateStr, '2026-03-22');
+    assert.equal(annunciation.transferred, undefined);
+  });
+
+  it('transfers Marian ilmestyspäivä away from Palmusunnuntai and Pääsiäispäivä', () => {
+    const cases = [
+      [2023, '2024-03-17', '2024-03-24'], // Palmusunnuntai 2024-03-24
+      [2026, '2027-03-14', '2027-03-28'], // Pääsiäispäivä 2027-03-28
+    ];
+    for (const [startYear, expected, originalDate] of cases) {
+      const annunciation = generateChurchYear(startYear).find(e => e.slug === 'marian-ilmestyspaiva');
+      assert.ok(annunciation, `Marian ilmestyspäivä should exist in ${startYear}`);
+      assert.equal(annunciation.dateStr, expected);
+      assert.equal(annunciation.transferred.originalDate, originalDate);
+      assert.ok(annunciation.transferred.reason);
+    }
+  });
+
+  it('places floating special Sundays on a Sunday-after-Pentecost slot', () => {
+    const calendar = generateChurchYear(2025);
+    const luomakunta = calendar.find(e => e.slug === 'luomakunnan-sunnuntai');
+    assert.ok(luomakunta);
+    assert.equal(luomakunta.dateStr, '2026-06-07');
+    assert.equal(luomakunta.overrides, '2-sunnuntai-helluntaista');
+
+    const perhe = calendar.find(e => e.slug === 'perheen-sunnuntai');
+    assert.ok(perhe);
+    assert.equal(perhe.dateStr, '2026-10-11');
+    assert.ok(calendar.some(e => e.slug === perhe.overrides && e.dateStr === perhe.dateStr));
+  });
 });
 
 // ─── Year Cycle ─────────────────────────────────────────────────────────────
@@ -127,6 +225,31 @@ describe('Year cycle calculation', () => {
   });
 });
 
+// ─── Today ──────────────────────────────────────────────────────────────────
+
+describe('Today', () => {
+  it('computes the date in a given time zone', () => {
+    const now = new Date('2026-04-04T22:30:00Z'); // 01:30 on Easter Sunday in Helsinki
+    assert.equal(todayInTimeZone('Europe/Helsinki', now), '2026-04-05');
+    assert.equal(todayInTimeZone('UTC', now), '2026-04-04');
+  });
+
+  it('rejects unknown time zones', () => {
+    assert.throws(() => todayInTimeZone('Mars/Olympus_Mons'), RangeError);
+    const today = collectRoutes().get('/api/v1/today');
+    assert.ok(today({ params: {}, query: { tz: 'Mars/Olympus_Mons' } }).error);
+  });
+
+  it('honours ?date= on the /today routes', () => {
+    const routes = collectRoutes({ timeZone: 'UTC' });
+    const result = routes.get('/api/v1/today')({ params: {}, query: { date: '2026-04-05' } });
+    assert.equal(result.holyDay.slug, 'paasiaispaiva');
+    const gospel = routes.get('/api/v1/today/gospel')({ params: {}, query: { date: '2026-04-05' } });
+    assert.equal(gospel.date, '2026-04-05');
+    assert.ok(routes.get('/api/v1/today/texts')({ params: {}, query: { date: '5.4.2026' } }).error);
+  });
+});
+
 // ─── Date Resolution ────────────────────────────────────────────────────────
 
 describe('Date resolution', () => {
@@ -154,6 +277,15 @@ describe('Date resolution', () => {
     assert.equal(result.holyDay.slug, 'joulupaiva');
   });
 
+  it('resolves Christmas Eve with the night mass as an additional service', () => {
+    const result = resolveDate('2026-12-24');
+    assert.equal(result.holyDay.slug, 'jouluaatto');
+    const jouluyo = result.additionalServices.find(e => e.slug === 'jouluyo');
+    assert.ok(jouluyo, 'Jouluyö should be an additional service');
+    assert.ok(jouluyo.texts?.gospel, 'Jouluyö should have its own gospel');
+    assert.ok(jouluyo.prayers?.length > 0);
+  });
+
   it('resolves Easter Sunday 2026', () => {
     const result = resolveDate('2026-04-05');
     assert.ok(result.holyDay);
@@ -173,6 +305,77 @@ describe('Date resolution', () => {
     assert.equal(result.holyDay.slug, 'pitkaperjantai');
   });
 
+  it('resolves a transferred Marian ilmestyspäivä', () => {
+    const result = resolveDate('2024-03-17');
+    assert.equal(result.holyDay.slug, 'marian-ilmestyspaiva');
+    assert.equal(result.holyDay.transferred.originalDate, '2024-03-24');
+    assert.ok(result.additionalServices.some(e => e.slug === '5-paastonajan-sunnuntai'));
+  });
+
+  it('reports the Sunday overridden by a floating special Sunday', () => {
+    const result = resolveDate('2026-06-07');
+    assert.equal(result.holyDay.slug, 'luomakunnan-sunnuntai');
+    const overridden = result.additionalServices.find(e => e.slug === '2-sunnuntai-helluntaista');
+    assert.ok(overridden);
+    assert.equal(overridden.overriddenBy, 'luomakunnan-sunnuntai');
+  });
+
+  it('assigns the Evankeliumikirja weekday pairs in order', () => {
+    const monday = resolveDate('2025-12-01').dailyTexts;
+    const tuesday = resolveDate('2025-12-02').dailyTexts;
+    assert.equal(monday.source, 'evankeliumikirja');
+    assert.equal(monday.readings[0].reference, 'Jes. 63:15--16');
+    assert.equal(monday.readings[1].reference, 'Ilm. 2:1--5, 7');
+    assert.equal(tuesday.readings[0].reference, 'Miika 2:12--13');
+    assert.equal(tuesday.readings[1].reference, 'Ilm. 22:12--17');
+  });
+
+  it('falls back to the weekly lectionary past the end of the weekday pairs', () => {
+    for (const date of ['2025-12-04', '2025-12-05', '2025-12-06']) { // Thursday–Saturday
+      const texts = resolveDate(date).dailyTexts;
+      assert.equal(texts.source, 'viikkolektionaari', date);
+      assert.ok(texts.readings.every(r => r.reference !== 'Jes. 63:15--16'), date);
+    }
+  });
+
+  it('assigns weekly lectionary readings to ordinary weekdays', () => {
+    const result = resolveDate('2026-02-24'); // Tuesday after 1. paastonajan sunnuntai
+    assert.equal(result.dailyTexts.source, 'viikkolektionaari');
+    assert.equal(result.dailyTexts.week, '1. paastonajan sunnuntai');
+    assert.deepEqual(result.dailyTexts.readings.map(r => [r.time, r.reference]), [
+      ['aamu', 'Job 1:1–22'],
+      ['ilta', 'Mark. 14:17–31'],
+    ]);
+    assert.equal(resolveDate('2026-02-22').dailyTexts, null); // Sunday
+  });
+
+  it('lets Itsenäisyyspäivä displace 2. adventtisunnuntai', () => {
+    const result = resolveDate('2020-12-06');
+    assert.equal(result.holyDay.slug, 'itsenaisyyspaiva');
+    assert.equal(result.holyDay.precedence.outcome, 'celebrated');
+    const advent = result.additionalServices.find(e => e.slug === '2-adventtisunnuntai');
+    assert.equal(advent.precedence.outcome, 'displaced');
+    assert.ok(advent.precedence.reason);
+  });
+
+  it('resolves Itsenäisyyspäivä on a weekday in the same church year', () => {
+    const result = resolveDate('2025-12-06');
+    assert.equal(result.holyDay.slug, 'itsenaisyyspaiva');
+  });
+
+  it('keeps a Sunday over a commemoration', () => {
+    const result = resolveDate('2026-01-18');
+    assert.equal(result.holyDay.slug, '2-sunnuntai-loppiaisesta');
+    const prayerDay = result.additionalServices.find(e => e.slug === 'kansalliset-rukouspaivat');
+    assert.equal(prayerDay.precedence.outcome, 'commemorated');
+  });
+
+  it('reports a transferred feast as the celebrated day', () => {
+    const result = resolveDate('2027-03-14');
+    assert.equal(result.holyDay.slug, 'marian-ilmestyspaiva');
+    assert.equal(result.holyDay.precedence.outcome, 'transferred');
+  });
+
   it('resolves cross-referenced texts', () => {
     // Pääsiäispäivä cycle 2 has firstReading cross-referencing cycle 1
     const result = resolveDate('2026-04-05'); // Easter, year cycle 2
@@ -186,6 +389,831 @@ describe('Date resolution', () => {
   });
 });
 
+// ─── Occurrences & Ranges ───────────────────────────────────────────────────
+
+describe('Occurrences and date ranges', () => {
+  it('finds the next dates of a holy day with their year cycles', () => {
+    const result = getOccurrences('kirkastussunnuntai', '2026-10-19', { count: 2, past: 1 });
+    assert.deepEqual(result.next.map(o => [o.date, o.yearCycle]), [['2027-07-11', 2], ['2028-07-30', 3]]);
+    assert.deepEqual(result.past.map(o => o.date), ['2026-07-19']);
+    assert.equal(result.next[0].precedence.outcome, 'celebrated');
+  });
+
+  it('includes the from date and reports displaced occurrences', () => {
+    const result = getOccurrences('5-paastonajan-sunnuntai', '2026-03-22', { count: 1 });
+    assert.equal(result.next[0].date, '2026-03-22');
+    assert.equal(result.next[0].precedence.outcome, 'displaced');
+  });
+
+  it('returns null for an unknown slug', () => {
+    assert.equal(getOccurrences('ei-ole', '2026-01-01'), null);
+  });
+
+  it('resolves every date in a range', () => {
+    const days = resolveRange('2026-03-29', '2026-04-06');
+    assert.equal(days.length, 9);
+    assert.equal(days[0].holyDay.slug, 'palmusunnuntai');
+    assert.equal(days[7].holyDay.slug, 'paasiaispaiva');
+    assert.equal(days[7].holyDay.texts, undefined);
+  });
+
+  it('validates the range and holy day dates routes', () => {
+    const routes = collectRoutes();
+    const range = routes.get('/api/v1/range');
+    assert.equal(range({ params: {}, query: { from: '2026-01-01', to: '2026-01-07' } }).count, 7);
+    assert.ok(range({ params: {}, query: { from: '2026-01-07', to: '2026-01-01' } }).error);
+    assert.ok(range({ params: {}, query: { from: '2026-01-01', to: '2027-06-01' } }).error);
+
+    const dates = routes.get('/api/v1/holy-day/:slug/dates');
+    const next = dates({ params: { slug: 'joulupaiva' }, query: { from: '2026-10-19', count: '1' } });
+    assert.equal(next.next[0].date, '2026-12-25');
+    assert.ok(dates({ params: { slug: 'joulupaiva' }, query: { count: '0' } }).error);
+    assert.ok(dates({ params: { slug: 'ei-ole' }, query: {} }).error);
+  });
+
+  it('returns the church week of a date, Sunday to Saturday', () => {
+    const week = collectRoutes().get('/api/v1/week/:date')({ params: { date: '2026-04-08' }, query: {} });
+    assert.equal(week.from, '2026-04-05');
+    assert.equal(week.to, '2026-04-11');
+    assert.equal(week.sunday, 'Pääsiäispäivä');
+    assert.equal(week.days.length, 7);
+    assert.ok(week.days.every(d => d.liturgicalColor === 'valkoinen'));
+  });
+
+  it('returns every day of a month with ordinary days filled in', () => {
+    const month = collectRoutes().get('/api/v1/month/:month');
+    const december = month({ params: { month: '2026-12' }, query: {} });
+    assert.equal(december.count, 31);
+    assert.equal(december.days[6].holyDay, null);
+    assert.equal(december.days[6].precedingSunday.slug, '2-adventtisunnuntai');
+    assert.equal(december.days[6].liturgicalColor, 'violetti');
+    assert.equal(december.days[6].color.id, 'violet');
+    assert.equal(month({ params: { month: '2028-02' }, query: {} }).count, 29);
+    assert.ok(month({ params: { month: '2026-13' }, query: {} }).error);
+  });
+});
+
+// ─── Validation ─────────────────────────────────────────────────────────────
+
+describe('Request validation', () => {
+  const routes = collectRoutes();
+  const call = (pattern, params, query = {}) => routes.get(pattern)({ params, query });
+
+  it('rejects dates that do not exist', () => {
+    const result = call('/api/v1/date/:date', { date: '2026-02-31' });
+    assert.equal(result[STATUS], 400);
+    assert.deepEqual(result.error, {
+      code: 'invalid_parameter',
+      message: 'Invalid date: 2026-02-31 does not exist.',
+      details: { parameter: 'date', in: 'path', value: '2026-02-31' },
+    });
+    assert.equal(call('/api/v1/today', {}, { date: '2026-13-01' })[STATUS], 400);
+    assert.equal(call('/api/v1/date/:date', { date: '2028-02-29' }).date, '2028-02-29');
+  });
+
+  it('checks integer ranges and enums of query parameters', () => {
+    const cycle = call('/api/v1/today/texts', {}, { date: '2026-04-05', cycle: '7' });
+    assert.equal(cycle.error.message, 'Invalid cycle. Use 1, 2 or 3.');
+    assert.equal(call('/api/v1/holy-day/:slug/dates', { slug: 'joulupaiva' }, { count: 'x' }).error.details.parameter, 'count');
+    assert.equal(call('/api/v1/year/:year/calendar', { year: '1800' }).error.message, 'Invalid year. Must be between 1900 and 2100.');
+  });
+
+  it('checks ?n= against the prayers of the day', () => {
+    const result = call('/api/v1/today/prayer', {}, { date: '2026-04-05', n: '99' });
+    assert.equal(result[STATUS], 400);
+    assert.ok(result.error.details.max >= 1);
+    assert.ok(call('/api/v1/today/prayer', {}, { date: '2026-04-05', n: '1' }).prayer);
+  });
+
+  it('reports missing parameters', () => {
+    const result = call('/api/v1/lectionary/search', {}, { q: ' ' });
+    assert.equal(result.error.code, 'missing_parameter');
+    assert.equal(result.error.message, 'Query parameter ?q= is required. Example: ?q=Matt.+5');
+  });
+
+  it('answers 404 for unknown holy days and seasons', () => {
+    const day = call('/api/v1/holy-day/:slug', { slug: 'ei-ole' });
+    assert.equal(day[STATUS], 404);
+    assert.deepEqual(day.error, { code: 'not_found', message: 'Holy day not found: ei-ole', details: { slug: 'ei-ole' } });
+    assert.equal(call('/api/v1/year/:year/seasons/:season', { year: '2026', season: 'advent' })[STATUS], 404);
+  });
+
+  it('rejects ?tradition= on routes without the Orthodox calendar', () => {
+    const propers = call('/api/v1/date/:date/propers', { date: '2026-04-12' }, { tradition: 'orthodox' });
+    assert.equal(propers[STATUS], 400);
+    assert.deepEqual(propers.error.details, { parameter: 'tradition', in: 'query', value: 'orthodox' });
+    assert.equal(call('/api/v1/date/:date/service', { date: '2026-04-12' }, { tradition: 'orthodox' })[STATUS], 400);
+    assert.equal(call('/api/v1/date/:date/propers', { date: '2026-04-12' }, { tradition: 'lutheran' }).date, '2026-04-12');
+    assert.equal(call('/api/v1/date/:date', { date: '2026-04-12' }, { tradition: 'orthodox' }).tradition, 'orthodox');
+  });
+
+  it('rejects malformed percent-escapes in path parameters', () => {
+    const router = new Router();
+    registerRoutes(router);
+    const match = router.match('/api/v1/holy-day/%E0%A4%A');
+    assert.equal(match.error[STATUS], 400);
+    assert.deepEqual(match.error.error.details, { parameter: 'slug', in: 'path', value: '%E0%A4%A' });
+    assert.deepEqual(router.match('/api/v1/holy-day/p%C3%A4iv%C3%A4').params, { slug: 'päivä' });
+  });
+});
+
+// ─── OpenAPI ────────────────────────────────────────────────────────────────
+
+describe('OpenAPI description', () => {
+  it('describes every registered route', () => {
+    const registry = registerRoutes({ get: () => {} });
+    const doc = collectRoutes().get('/api/v1/openapi.json')({ params: {}, query: {} });
+    assert.equal(doc.openapi, '3.1.0');
+    assert.equal(Object.keys(doc.paths).length, registry.length);
+    assert.ok(doc.paths['/api/v1/date/{date}/color'].get.parameters.some(p => p.name === 'date' && p.in === 'path'));
+    assert.equal(doc.paths['/api/v1/date/{date}/color'].get.operationId, 'getDateByDateColor');
+    assert.ok(doc.paths['/api/v1/year/{year}/calendar.ics'].get.responses[200].content['text/calendar']);
+  });
+
+  it('declares each path parameter and resolves every schema reference', () => {
+    const doc = collectRoutes().get('/api/v1/openapi.json')({ params: {}, query: {} });
+    for (const [path, { get }] of Object.entries(doc.paths)) {
+      const declared = get.parameters.filter(p => p.in === 'path').map(p => p.name).sort();
+      const inPath = [...path.matchAll(/\{(\w+)\}/g)].map(m => m[1]).sort();
+      assert.deepEqual(declared, inPath, path);
+      assert.ok(get.summary, path);
+    }
+    const refs = JSON.stringify(doc).match(/#\/components\/schemas\/\w+/g);
+    for (const ref of new Set(refs)) {
+      assert.ok(doc.components.schemas[ref.split('/').pop()], ref);
+    }
+  });
+});
+
+// ─── Liturgical Colors ──────────────────────────────────────────────────────
+
+describe('Liturgical colors', () => {
+  it('parses color texts into rules', () => {
+    assert.deepEqual(parseColorRule('valkoinen, maanantaista lauantaihin violetti tai sininen'), {
+      text: 'valkoinen, maanantaista lauantaihin violetti tai sininen',
+      primary: 'white',
+      alternatives: [],
+      weekdays: { primary: 'violet', alternatives: ['blue'] },
+      note: null,
+    });
+    const pyhainpaiva = parseColorRule('punainen tai, varsinkin iltajumalanpalveluksessa, valkoinen');
+    assert.equal(pyhainpaiva.primary, 'red');
+    assert.deepEqual(pyhainpaiva.alternatives, ['white']);
+    const itsenaisyyspaiva = parseColorRule('valkoinen. Itsenäisyyspäivän sattuessa 2. adventtisunnuntaiksi voidaan käyttää myös violettia tai sinistä');
+    assert.deepEqual(itsenaisyyspaiva.alternatives, []);
+    assert.ok(itsenaisyyspaiva.note.startsWith('Itsenäisyyspäivän'));
+    assert.equal(parseColorRule(null), null);
+  });
+
+  it('applies the weekday color from Monday to Saturday', () => {
+    const text = 'valkoinen, maanantaista lauantaihin vihreä';
+    const sunday = makeDate(2026, 7, 19);
+    assert.equal(resolveColor(text, sunday, sunday).id, 'white');
+    assert.equal(resolveColor(text, makeDate(2026, 7, 22), sunday).id, 'green');
+    assert.equal(resolveColor(text, makeDate(2026, 7, 22), sunday).hex, '#2E7D32');
+  });
+
+  it('keeps the color of a weekday feast on the day itself', () => {
+    const feast = getDateColor('2026-02-02'); // Kynttilänpäivä on a Monday
+    assert.equal(feast.holyDay, 'Kynttilänpäivä');
+    assert.equal(feast.color.id, 'white');
+    assert.equal(getDateColor('2026-02-03').color.id, 'green');
+  });
+
+  it('resolves one color for a date', () => {
+    const color = collectRoutes().get('/api/v1/date/:date/color');
+    const wednesday = color({ params: { date: '2025-12-03' }, query: {} });
+    assert.equal(wednesday.holyDay, '1. adventtisunnuntai');
+    assert.equal(wednesday.liturgicalColor, 'violetti');
+    assert.deepEqual(wednesday.color, { id: 'violet', fi: 'violetti', en: 'violet', sv: 'violett', hex: '#5B2A86' });
+    assert.deepEqual(wednesday.alternatives.map(c => c.id), ['blue']);
+
+    const sunday = color({ params: { date: '2025-11-30' }, query: {} });
+    assert.equal(sunday.color.id, 'white');
+
+    const orthodox = color({ params: { date: '2026-04-12' }, query: { tradition: 'orthodox' } });
+    assert.equal(orthodox.color.id, 'white');
+  });
+});
+
+// ─── Seasons ────────────────────────────────────────────────────────────────
+
+describe('Seasons', () => {
+  it('divides a church year into seasons and periods without gaps', () => {
+    const { seasons } = getSeasons(2025);
+    assert.deepEqual(seasons.map(s => s.slug), ['joulujakso', 'paasiaisjakso', 'helluntaijakso']);
+    assert.equal(seasons[0].start, '2025-11-30');
+    assert.equal(seasons[2].end, '2026-11-28');
+
+    const periods = seasons.flatMap(s => s.periods);
+    assert.equal(periods.length, 8);
+    for (let i = 1; i < periods.length; i++) {
+      const dayAfter = formatDate(new Date(Date.parse(periods[i - 1].end) + 86400000));
+      assert.equal(periods[i].start, dayAfter, periods[i].name);
+    }
+  });
+
+  it('computes period boundaries from the moveable feasts', () => {
+    const lent = getSeasonEntries(2025, 'paastonaika').season;
+    assert.equal(lent.kind, 'aika');
+    assert.equal(lent.start, '2026-02-18');
+    assert.equal(lent.end, '2026-04-03');
+    assert.equal(lent.parent.slug, 'paasiaisjakso');
+    assert.ok(lent.days.some(d => d.slug === 'marian-ilmestyspaiva'));
+  });
+
+  it('routes seasons and reports unknown ones', () => {
+    const routes = collectRoutes();
+    const christmas = routes.get('/api/v1/year/:year/seasons/:season')({ params: { year: '2026', season: 'joulujakso' }, query: {} });
+    assert.equal(christmas.season.kind, 'jakso');
+    assert.deepEqual(christmas.season.periods.map(p => p.slug), ['adventtiaika', 'jouluaika', 'loppiaisaika']);
+    assert.ok(routes.get('/api/v1/year/:year/seasons/:season')({ params: { year: '2026', season: 'advent' }, query: {} }).error);
+  });
+});
+
+// ─── Orthodox Calendar ──────────────────────────────────────────────────────
+
+describe('Orthodox calendar', () => {
+  it('computes the moveable cycle from Orthodox Pascha', () => {
+    const entries = generateOrthodoxYear(2025);
+    const find = (slug) => entries.find(e => e.slug === slug)?.dateStr;
+
+    assert.equal(find('pascha'), '2026-04-12');
+    assert.equal(find('puhdas-maanantai'), '2026-02-23');
+    assert.equal(find('herran-tulo-jerusalemiin'), '2026-04-05');
+    assert.equal(find('herran-taivaaseenastuminen'), '2026-05-21');
+    assert.equal(find('helluntai'), '2026-05-31');
+    assert.equal(find('kristuksen-syntyma'), '2025-12-25');
+  });
+
+  it('numbers ordinary Sundays from Pentecost', () => {
+    const entries = generateOrthodoxYear(2025);
+    assert.equal(entries[0].dateStr >= '2025-09-01', true);
+    assert.equal(entries.at(-1).dateStr <= '2026-08-31', true);
+    // Pentecost 2025 was June 8, so September 7 is the 13th Sunday after it
+    assert.ok(entries.some(e => e.dateStr === '2025-09-07' && e.slug === '13-sunnuntai-helluntaista'));
+  });
+
+  it('resolves a date with name and color', () => {
+    const result = resolveOrthodoxDate('2026-04-12');
+    assert.equal(result.tradition, 'orthodox');
+    assert.equal(result.churchYear.pascha, '2026-04-12');
+    assert.equal(result.holyDay.slug, 'pascha');
+    assert.equal(result.holyDay.liturgicalColor, 'valkoinen');
+    assert.equal(result.season, 'Pääsiäisaika');
+  });
+
+  it('lets a great feast take precedence over a Sunday on the same date', () => {
+    // Pascha 2029 is April 8, so Annunciation falls on the 5th Sunday of Lent
+    const result = resolveOrthodoxDate('2029-03-25');
+    assert.equal(result.holyDay.slug, 'jumalansynnyttajan-ilmestys');
+    assert.equal(result.additionalServices[0].slug, 'pyhan-maria-egyptilaisen-sunnuntai');
+    assert.equal(result.season, 'Suuri paasto');
+  });
+
+  it('serves ?tradition=orthodox on date and calendar routes', () => {
+    const routes = collectRoutes();
+    const date = routes.get('/api/v1/date/:date')({ params: { date: '2026-04-05' }, query: { tradition: 'orthodox' } });
+    assert.equal(date.holyDay.slug, 'herran-tulo-jerusalemiin');
+
+    const lutheran = routes.get('/api/v1/date/:date')({ params: { date: '2026-04-05' }, query: {} });
+    assert.equal(lutheran.holyDay.slug, 'paasiaispaiva');
+
+    const calendar = routes.get('/api/v1/year/:year/calendar')({ params: { year: '2025' }, query: { tradition: 'orthodox' } });
+    assert.equal(calendar.churchYear.pascha, '2026-04-12');
+
+    const color = routes.get('/api/v1/date/:date/color')({ params: { date: '2026-03-04' }, query: { tradition: 'orthodox' } });
+    assert.equal(color.liturgicalColor, 'violetti');
+
+    const invalid = routes.get('/api/v1/date/:date')({ params: { date: '2026-04-05' }, query: { tradition: 'catholic' } });
+    assert.equal(invalid.error.message, 'Invalid tradition. Use lutheran or orthodox.');
+  });
+});
+
+// ─── Bible References ───────────────────────────────────────────────────────
+
+describe('Bible references', () => {
+  it('parses the Evankeliumikirja, lectionary index and kertosäe shapes alike', () => {
+    const expected = [{ from: { chapter: 21, verse: 1 }, to: { chapter: 21, verse: 9 } }];
+    assert.deepEqual(parseReference('Matt. 21:1--9').ranges, expected);
+    assert.deepEqual(parseReference('21:1–9', { book: 'Matt.' }).ranges, expected);
+    assert.deepEqual(parseReference('Matt. 21: 1-9.').ranges, expected);
+    assert.equal(parseReference('Matt. 21:1--9').book, 'Matt');
+  });
+
+  it('formats references back to display strings', () => {
+    const cases = [
+      ['Ap. t. 6:8, 11--15; 7:51--60 (ks. 1. vuosikerta)', 'Ap. t. 6:8, 11–15; 7:51–60'],
+      ['1. Kor. 15:1--8 (9--10) 11', '1. Kor. 15:1–8 (9–10) 11'],
+      ['Luuk. 22:63--23:12', 'Luuk. 22:63–23:12'],
+      ['5. Moos. 6:4--9', '5. Moos. 6:4–9'],
+      ['Jes. 53', 'Jes. 53'],
+    ];
+    for (const [input, output] of cases) {
+      assert.equal(formatReference(parseReference(input)), output);
+    }
+    assert.equal(formatReference(parseReference('26:3b–5, 7–9', { book: '1. Sam.' })), '1. Sam. 26:3b–5, 7–9');
+  });
+
+  it('finds every reference in a text and rejects non-references', () => {
+    const refs = parseReferences('Tapaninpäivänä ja jouluaikana; Hepr. 1: 3; Joh. 1: 14.');
+    assert.deepEqual(refs.map(formatReference), ['Hepr. 1:3', 'Joh. 1:14']);
+    assert.equal(parseReferences('Jes. 50:4--10 tai Sak. 9:9--10').length, 2);
+    assert.equal(parseReference('1.–4. sunnuntai pääsiäisestä, tiistai', { book: 'Ps.' }), null);
+    assert.equal(getBook('kirje roomalaisille').abbreviation, 'Room.');
+  });
+
+  it('matches searches on parsed references instead of substrings', () => {
+    const routes = collectRoutes();
+    const search = routes.get('/api/v1/search/text')({ params: {}, query: { q: 'Matt. 21:1-9' } });
+    assert.equal(search.reference, 'Matt. 21:1–9');
+    assert.ok(search.results.some(r => r.reference === 'Matt. 21:1--9'));
+
+    const lectionary = routes.get('/api/v1/lectionary/search')({ params: {}, query: { q: 'Ps. 2' } });
+    assert.ok(lectionary.count > 0);
+    assert.ok(lectionary.results.every(r => r.abbreviation === 'Ps.' && /^2:/.test(r.reference)));
+  });
+
+  it('describes how verse ranges overlap', () => {
+    const compare = (a, b) => compareReferences(parseReference(a), parseReference(b));
+    assert.deepEqual(compare('Matt. 5:1--12', 'Matt. 5:3'), { relation: 'contains', shared: 'Matt. 5:3' });
+    assert.deepEqual(compare('Matt. 5:3', 'Matt. 5:1-12'), { relation: 'within', shared: 'Matt. 5:3' });
+    assert.deepEqual(compare('Matt. 5:1--12', 'Matt. 5:10-16'), { relation: 'overlaps', shared: 'Matt. 5:10–12' });
+    assert.equal(compare('Matt. 5:1--12', 'Matt. 5:1-12').relation, 'equal');
+    assert.equal(compare('Luuk. 22:63--23:12', 'Luuk. 23').shared, 'Luuk. 23:1–12');
+    assert.equal(compare('Matt. 5:1--12', 'Matt. 6:1'), null);
+  });
+
+  it('finds overlapping readings with ?mode=overlap', () => {
+    const routes = collectRoutes();
+    const search = routes.get('/api/v1/search/text')({ params: {}, query: { q: 'Matt. 5:3', mode: 'overlap' } });
+    assert.equal(search.mode, 'overlap');
+    assert.ok(search.results.some(r => r.slug === 'pyhainpaiva' && r.yearCycle === 1 && r.readingType === 'gospel'));
+    assert.ok(search.results.every(r => r.overlap.relation === 'contains'));
+
+    const lectionary = routes.get('/api/v1/lectionary/search')({ params: {}, query: { q: 'Matt. 5:3', mode: 'overlap' } });
+    assert.ok(lectionary.results.some(r => r.reference === '5:1–12'));
+
+    const invalid = routes.get('/api/v1/search/text')({ params: {}, query: { q: 'Matt', mode: 'overlap' } });
+    assert.ok(invalid.error);
+  });
+});
+
+// ─── iCalendar ──────────────────────────────────────────────────────────────
+
+describe('iCalendar feed', () => {
+  const modified = new Date('2026-01-15T10:20:30Z');
+
+  it('renders all-day events with stable UIDs', () => {
+    const ics = getICalendar([2025], modified);
+    assert.ok(ics.startsWith('BEGIN:VCALENDAR\r\n'));
+    assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+    assert.ok(ics.includes('UID:paasiaispaiva-2026-04-05@kirkkovuosi-api\r\n'));
+    assert.ok(ics.includes('DTSTART;VALUE=DATE:20260405\r\nDTEND;VALUE=DATE:20260406\r\n'));
+    assert.equal(ics, getICalendar([2025], modified), 'Feed should be identical between renders');
+  });
+
+  it('stamps events with the data modification time', () => {
+    const ics = getICalendar([2025], modified);
+    assert.ok(ics.includes('DTSTAMP:20260115T102030Z\r\nLAST-MODIFIED:20260115T102030Z\r\nSEQUENCE:1768472430\r\n'));
+    assert.ok(!ics.includes('DTSTAMP:20260405T000000Z'), 'DTSTAMP should not follow the event date');
+
+    // The route stamps with the time recorded in data/version.json, not the file times
+    const { modified: recorded } = JSON.parse(readFileSync(new URL('../data/version.json', import.meta.url), 'utf-8'));
+    assert.equal(getDataModified().getTime(), Date.parse(recorded));
+    const feed = collectRoutes().get('/api/v1/year/:year/calendar.ics')({ params: { year: '2025' }, query: {} });
+    assert.ok(feed.body.includes(`DTSTAMP:${recorded.replace(/[-:]/g, '')}\r\n`));
+  });
+
+  it('shows references in their display form', () => {
+    const advent = getChurchYearEvents(2025).find(e => e.slug === '1-adventtisunnuntai');
+    assert.ok(advent.description.includes('Evankeliumi: Matt. 21:1–9'));
+    assert.ok(!getICalendar([2025], modified).includes('--'));
+  });
+
+  it('folds lines to 75 octets', () => {
+    const lines = getICalendar([2025], modified).split('\r\n');
+    assert.ok(lines.every(line => Buffer.byteLength(line) <= 75));
+  });
+
+  it('merges consecutive weekday entries into one event', () => {
+    const events = getChurchYearEvents(2025);
+    const week = events.filter(e => e.slug === '1-adventtisunnuntain-jalkeinen-viikko');
+    assert.equal(week.length, 1);
+    assert.equal(week[0].start, '2025-12-01');
+    assert.equal(week[0].end, '2025-12-07');
+  });
+
+  it('serves the rolling feed as text/calendar', () => {
+    const feed = collectRoutes().get('/api/v1/calendar.ics')({ params: {}, query: { years: '2', date: '2026-01-10' } });
+    assert.ok(feed[RAW_RESPONSE]);
+    assert.match(feed.contentType, /^text\/calendar/);
+    assert.ok(feed.body.includes('UID:paasiaispaiva-2026-04-05@kirkkovuosi-api'));
+    assert.ok(feed.body.includes('UID:paasiaispaiva-2027-03-28@kirkkovuosi-api'));
+    assert.ok(!feed.body.includes('UID:paasiaispaiva-2028-04-16@kirkkovuosi-api'));
+  });
+});
+
+// ─── Response Shaping ───────────────────────────────────────────────────────
+
+describe('Response shaping', () => {
+  it('keeps only the ?fields= paths', () => {
+    const day = resolveDate('2026-04-05');
+    const shaped = shapeResponse(day, { fields: 'date,holyDay.name,holyDay.texts.gospel.reference' });
+    assert.deepEqual(shaped, {
+      date: '2026-04-05',
+      holyDay: { name: 'Pääsiäispäivä', texts: { gospel: { reference: day.holyDay.texts.gospel.reference } } },
+    });
+    // The cached day is not changed
+    assert.ok(day.holyDay.allYearCycles);
+  });
+
+  it('selects fields in every array element', () => {
+    const week = collectRoutes().get('/api/v1/week/:date')({
+      params: { date: '2026-04-05' }, query: { fields: 'days.date,days.holyDay.name' },
+    });
+    assert.deepEqual(Object.keys(week), ['days']);
+    assert.equal(week.days.length, 7);
+    assert.deepEqual(week.days[0], { date: '2026-04-05', holyDay: { name: 'Pääsiäispäivä' } });
+  });
+
+  it('drops sections with ?exclude= and keeps only ?include= sections', () => {
+    const day = resolveDate('2026-04-05');
+    const excluded = shapeResponse(day, { exclude: 'allYearCycles,hymns' });
+    assert.equal(excluded.holyDay.allYearCycles, undefined);
+    assert.equal(excluded.holyDay.hymns, undefined);
+    assert.ok(excluded.holyDay.prayers);
+
+    const included = shapeResponse(day, { include: 'propers' });
+    assert.ok(included.holyDay.propers);
+    assert.equal(included.holyDay.texts, undefined);
+    assert.equal(included.dailyTexts, undefined);
+    assert.equal(included.holyDay.name, 'Pääsiäispäivä');
+  });
+
+  it('rejects unknown sections and malformed paths', () => {
+    const route = collectRoutes().get('/api/v1/date/:date');
+    const unknown = route({ params: { date: '2026-04-05' }, query: { exclude: 'hymnz' } });
+    assert.equal(unknown[STATUS], 400);
+    assert.match(unknown.error.message, /Invalid exclude: hymnz/);
+    const malformed = route({ params: { date: '2026-04-05' }, query: { fields: 'holyDay..name' } });
+    assert.equal(malformed[STATUS], 400);
+  });
+});
+
+// ─── Propers ────────────────────────────────────────────────────────────────
+
+describe('Propers', () => {
+  it('resolves the seasonal post-communion prayer', () => {
+    const prayerOf = (slug) => getKiitosrukousEhtoollinen(slug)?.slug || null;
+    assert.equal(prayerOf('1-adventtisunnuntai'), 'adventtiaika');
+    assert.equal(prayerOf('3-paastonajan-sunnuntai'), 'paastonaika');
+    assert.equal(prayerOf('5-paastonajan-sunnuntai'), 'karsimysaika');
+    assert.equal(prayerOf('paasiaisyo'), 'paasiaisyo-paasiaispaiva');
+    assert.equal(prayerOf('helatorstai'), 'paasiaisaika');
+    assert.equal(prayerOf('helluntaipaiva'), 'helluntai');
+    assert.equal(prayerOf('pyhan-kolminaisuuden-paiva'), null);
+  });
+
+  it('includes the post-communion prayer in the propers of a date', () => {
+    const propers = getPropers('paasiaispaiva');
+    assert.equal(propers.kiitosrukousEhtoollinen.season, 'Pääsiäinen');
+    assert.ok(propers.kiitosrukousEhtoollinen.texts.length > 0);
+
+    const result = collectRoutes().get('/api/v1/date/:date/propers')({ params: { date: '2026-12-13' }, query: {} });
+    assert.equal(result.propers.kiitosrukousEhtoollinen.slug, 'adventtiaika');
+  });
+
+  it('maps every holy day to its propers', () => {
+    const days = getAllDays();
+    const { mapped, unmapped, errors } = validatePropersMapping(days);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(unmapped, []);
+    assert.equal(mapped, new Set(days.map(d => d.slug)).size);
+
+    assert.equal(getPropers('pyhainpaiva').prefaatio.period, 'valvomisen sunnuntaina ja tuomiosunnuntaina');
+    assert.equal(getPropers('kirkastussunnuntai').prefaatio.period, 'loppiaisena');
+    assert.equal(getPropers('5-paastonajan-sunnuntai').prefaatio.period, 'kärsimysaikana');
+    assert.equal(getPropers('4-paastonajan-sunnuntai').kertosae.number, 15);
+    assert.equal(getPropers('kynttilanpaiva').kertosae.number, 25);
+    assert.equal(getPropers('pitkaperjantai').kyrieLitania.slug, 'pitkaperjantai-hiljainen-lauantai');
+  });
+
+  it('reports unmapped days and unknown slugs', () => {
+    const days = [...getAllDays().filter(d => d.slug !== 'pyhainpaiva'), { slug: 'uusi-pyhapaiva', name: 'Uusi pyhäpäivä' }];
+    const { unmapped, errors } = validatePropersMapping(days);
+    assert.deepEqual(unmapped, [{ slug: 'uusi-pyhapaiva', name: 'Uusi pyhäpäivä' }]);
+    assert.deepEqual(errors, [{ slug: 'pyhainpaiva', message: 'Not a holy day of all-days.json' }]);
+
+    const result = collectRoutes().get('/api/v1/diagnostics/propers')({ params: {}, query: {} });
+    assert.deepEqual(result.unmapped, []);
+    assert.ok(!result.withoutPrefaatio.some(d => d.slug === 'pyhainpaiva'));
+    assert.ok(result.withoutPrefaatio.some(d => d.slug === 'pyhan-kolminaisuuden-paiva'));
+  });
+
+  it('serves the Exsultet on the route and in the Easter Vigil propers', () => {
+    const result = collectRoutes().get('/api/v1/propers/exsultet')({ params: {}, query: {} });
+    assert.equal(result.source, 'Jumalanpalvelusten kirja (2000)');
+    assert.deepEqual(result.exsultet, getExsultet());
+
+    const vigil = resolveDate('2026-04-04').additionalServices.find(e => e.slug === 'paasiaisyo');
+    assert.ok('exsultet' in vigil.propers);
+    assert.deepEqual(vigil.propers.exsultet, result.exsultet);
+    assert.ok(!('exsultet' in getPropers('paasiaispaiva')));
+  });
+
+  it('parses the Exsultet into deacon and congregation parts', () => {
+    const lines = [
+      '## Pääsiäisylistys A',
+      '',
+      'Pääsiäisylistys A voidaan laulaa kynttilän sytyttämisen jälkeen.',
+      '',
+      '> Kynttilä asetetaan paikalleen.',
+      '',
+      '**E** Riemuitkoon taivaan enkelten joukko,',
+      'riemuitkoot Jumalan salaisuudet.',
+      '',
+      '**S** Ja myös sinun henkesi kanssa.',
+      '',
+      '**E** Nostakaa sydämenne.',
+      '',
+      '## Pääsiäisylistys B',
+      '',
+      'Pääsiäisylistys B voidaan laulaa myös lyhyempänä.',
+      '',
+      'P Tämä on se yö,',
+      'jona Kristus nousi kuolleista.',
+      '',
+      'S Aamen.',
+      '',
+      '## Synninpäästöt',
+    ];
+    const [a, b] = parseExsultet(lines);
+    assert.equal(a.version, 'A');
+    assert.equal(a.intro, 'Kynttilä asetetaan paikalleen.');
+    assert.deepEqual(a.sections.map(s => [s.role, s.part]), [['E', 'deacon'], ['S', 'congregation'], ['E', 'deacon']]);
+    assert.equal(a.sections[0].text, 'Riemuitkoon taivaan enkelten joukko,\nriemuitkoot Jumalan salaisuudet.');
+    assert.equal(b.version, 'B');
+    assert.deepEqual(b.sections.map(s => s.part), ['deacon', 'congregation']);
+    assert.equal(parseExsultet(['## Synninpäästöt']), null);
+  });
+
+  it('lists all post-communion prayers', () => {
+    const result = collectRoutes().get('/api/v1/propers/kiitosrukoukset-ehtoollinen')({ params: {}, query: {} });
+    assert.equal(result.kiitosrukouksetEhtoollinen.length, 7);
+    assert.ok(result.kiitosrukouksetEhtoollinen.every(k => k.season && k.texts.length > 0));
+  });
+});
+
+// ─── Seasonal Rules ─────────────────────────────────────────────────────────
+
+describe('Seasonal rules', () => {
+  const rulesOf = (slug) => getSeasonalRules(slug, getDayData(slug));
+
+  it('omits the Gloria in Advent and Lent with their exceptions', () => {
+    assert.equal(rulesOf('2-adventtisunnuntai').gloria.status, 'omitted');
+    assert.equal(rulesOf('2-adventtisunnuntai').gloria.rule.id, 'gloria-adventtiaika');
+    assert.equal(rulesOf('1-adventtisunnuntai').gloria.status, 'used');
+    assert.equal(rulesOf('3-paastonajan-sunnuntai').gloria.status, 'omitted');
+    assert.equal(rulesOf('kiirastorstai').gloria.status, 'used');
+    assert.equal(rulesOf('paasiaispaiva').gloria.rule, null);
+  });
+
+  it('replaces the Halleluja and omits the blessing on Good Friday', () => {
+    const rules = rulesOf('pitkaperjantai');
+    assert.equal(rules.hallelujah.status, 'replaced');
+    assert.equal(rules.hallelujah.replacement, 'psalmVerse');
+    assert.equal(rules.teDeum.status, 'omitted');
+    assert.equal(rules.blessing.status, 'omitted');
+    assert.ok(rules.blessing.rule.source);
+    assert.equal(rulesOf('kiirastorstai').blessing.status, 'used');
+  });
+
+  it('feeds resolveDate and the propers endpoints', () => {
+    const goodFriday = resolveDate('2026-04-03').holyDay;
+    assert.equal(goodFriday.seasonalRules.hallelujah.status, 'replaced');
+    assert.ok(!('hallelujah' in goodFriday));
+    assert.ok(goodFriday.psalmVerse);
+
+    const result = collectRoutes().get('/api/v1/date/:date/propers')({ params: { date: '2026-04-03' }, query: {} });
+    assert.equal(result.seasonalRules.blessing.status, 'omitted');
+  });
+});
+
+// ─── Order of Service ───────────────────────────────────────────────────────
+
+describe('Order of service', () => {
+  const slotsOf = (service) => service.parts.flatMap(part => part.slots);
+  const slotOf = (service, slot) => slotsOf(service).find(s => s.slot === slot);
+
+  it('assembles the messu in numbered order', () => {
+    const service = getOrderOfService('2026-11-29');
+    assert.equal(service.order, 'messu');
+    assert.equal(service.holyDay.slug, '1-adventtisunnuntai');
+    assert.deepEqual(service.parts.map(part => part.name), ['Johdanto', 'Sana', 'Ehtoollinen', 'Päätös']);
+    assert.deepEqual(slotsOf(service).map(s => s.number), slotsOf(service).map((_, i) => i + 1));
+    assert.equal(slotOf(service, 'evankeliumi').status, 'filled');
+    assert.equal(slotOf(service, 'prefaatio').content.title, getPropers('1-adventtisunnuntai').prefaatio.title);
+    assert.equal(slotOf(service, 'gloria').status, 'ordinary');
+  });
+
+  it('follows the seasonal rules of Lent', () => {
+    const service = getOrderOfService('2026-03-01');
+    assert.equal(slotOf(service, 'gloria').status, 'omitted');
+    assert.equal(slotOf(service, 'halleluja').name, 'Psalmilause');
+    assert.equal(slotOf(getOrderOfService('2026-04-02'), 'gloria').status, 'ordinary');
+    assert.equal(slotOf(getOrderOfService('2026-04-03'), 'herran-siunaus').status, 'omitted');
+  });
+
+  it('fills the readings of a weekday service from the weekday texts', () => {
+    const reference = (service, slot) => slotOf(service, slot).content?.reference;
+    const tuesday = getOrderOfService('2025-12-02'); // 1. adventtisunnuntain jälkeinen viikko
+    assert.equal(reference(tuesday, 'ensimmainen-lukukappale'), 'Miika 2:12--13');
+    assert.equal(reference(tuesday, 'toinen-lukukappale'), 'Ilm. 22:12--17');
+    assert.equal(reference(tuesday, 'evankeliumi'), 'Luuk. 3:7--14');
+
+    const thursday = getOrderOfService('2025-12-04');
+    assert.equal(slotOf(thursday, 'ensimmainen-lukukappale').status, 'options');
+    assert.equal(slotOf(thursday, 'ensimmainen-lukukappale').options.length, 3);
+
+    const easterTuesday = getOrderOfService('2026-04-07');
+    assert.equal(easterTuesday.holyDay.slug, 'paasiaisen-jalkeinen-tiistai');
+    assert.equal(reference(easterTuesday, 'ensimmainen-lukukappale'), 'Ap. t. 13:23--33');
+    assert.equal(slotOf(easterTuesday, 'toinen-lukukappale').status, 'free');
+  });
+
+  it('leaves out the communion in the service of the word', () => {
+    const service = getOrderOfService('2026-10-21', 'sanajumalanpalvelus');
+    assert.equal(service.basedOn, 'precedingSunday');
+    assert.ok(!service.parts.some(part => part.name === 'Ehtoollinen'));
+    assert.ok(slotOf(service, 'isa-meidan'));
+    assert.ok(!slotOf(service, 'prefaatio'));
+  });
+
+  it('validates the order', () => {
+    const handler = collectRoutes().get('/api/v1/date/:date/service');
+    assert.equal(handler({ params: { date: '2026-03-01' }, query: {} }).order, 'messu');
+    const error = handler({ params: { date: '2026-03-01' }, query: { order: 'vesper' } });
+    assert.equal(error[STATUS], 400);
+    assert.equal(error.error.details.parameter, 'order');
+  });
+});
+
+// ─── Documents ──────────────────────────────────────────────────────────────
+
+describe('Day documents', () => {
+  it('renders a date as plain text with psalm, readings and prayer', () => {
+    const text = renderDocument(dateDocument(resolveDate('2026-04-05')), 'txt');
+    assert.ok(text.startsWith('PÄÄSIÄISPÄIVÄ\nSunnuntai 5.4.2026\n'));
+    assert.ok(text.includes('Liturginen väri: valkoinen'));
+    assert.ok(text.includes('PSALMI\nPs. 118:15–23 (24)'));
+    assert.ok(text.includes('(Ps. 118:24)'));
+    assert.ok(text.includes('ENSIMMÄINEN LUKUKAPPALE\nHoos. 6:1–3\nHoosean kirjasta, luvusta 6'));
+    assert.ok(text.includes('EVANKELIUMI\nLuuk. 24:1–12'));
+    assert.ok(text.includes('PÄIVÄN RUKOUS'));
+  });
+
+  it('renders the readings of a weekday service', () => {
+    const text = renderDocument(dateDocument(resolveDate('2026-05-25')), 'txt');
+    for (const [i, reference] of ['Ap. t. 2:36–41', 'Ap. t. 10:44–48', 'Joh. 6:44–47', 'Joh. 16:12–15'].entries()) {
+      assert.ok(text.includes(`UUDEN TESTAMENTIN LUKUKAPPALE ${i + 1}\n${reference}`));
+    }
+
+    const doc = holyDayDocument(getDayData('paasiaisen-jalkeinen-tiistai'));
+    assert.ok(doc.sections.some(s => s.heading === 'Lukukappale' && s.reference === 'Ap. t. 13:23--33'));
+    assert.ok(doc.sections.some(s => s.heading === 'Evankeliumi'));
+  });
+
+  it('uses the preceding Sunday on an ordinary weekday', () => {
+    const doc = dateDocument(resolveDate('2026-10-20'));
+    assert.equal(doc.title, 'Tiistai 20.10.2026');
+    assert.match(doc.details[0], /^Edellinen pyhäpäivä: /);
+    assert.equal(doc.color, 'vihreä');
+    assert.ok(doc.sections.some(s => s.heading === 'Evankeliumi'));
+  });
+
+  it('renders a holy day with all year cycles as Markdown and HTML', () => {
+    const doc = holyDayDocument(getDayData('paasiaispaiva'));
+    const md = renderDocument(doc, 'md');
+    assert.ok(md.startsWith('# Pääsiäispäivä\n'));
+    for (const cycle of [1, 2, 3]) assert.ok(md.includes(`\n## ${cycle}. vuosikerta\n`));
+    assert.ok(md.includes('### Evankeliumi'));
+
+    const html = renderDocument(doc, 'html');
+    assert.ok(html.startsWith('<!DOCTYPE html>'));
+    assert.ok(html.includes('<h1>Pääsiäispäivä</h1>'));
+    assert.ok(!/<script/i.test(html));
+  });
+
+  it('escapes source text', () => {
+    const doc = { title: 'A & <b>', details: [], color: null, sections: [{ heading: 'X', level: 2, text: '*a* [b]\n# c' }] };
+    assert.ok(renderDocument(doc, 'html').includes('<h1>A &amp; &lt;b&gt;</h1>'));
+    assert.ok(renderDocument(doc, 'md').includes('\\*a\\* \\[b\\]  \n\\# c'));
+  });
+
+  it('selects a format by suffix or Accept header', () => {
+    assert.deepEqual(splitFormat('/api/v1/date/2026-04-05.md'), { pathname: '/api/v1/date/2026-04-05', format: 'md' });
+    assert.equal(splitFormat('/api/v1/calendar.ics'), null);
+    assert.equal(negotiateFormat('text/plain'), 'txt');
+    assert.equal(negotiateFormat('text/html,application/xhtml+xml,*/*;q=0.8'), 'html');
+    assert.equal(negotiateFormat('application/json, text/html'), null);
+    assert.equal(negotiateFormat('*/*'), null);
+    assert.equal(negotiateFormat(undefined), null);
+  });
+
+  it('answers with a document when the server passes a format', () => {
+    const routes = collectRoutes();
+    const result = routes.get('/api/v1/holy-day/:slug')({ params: { slug: 'joulupaiva' }, query: {}, format: 'txt' });
+    assert.ok(result[RAW_RESPONSE]);
+    assert.match(result.contentType, /^text\/plain/);
+    assert.ok(result.body.startsWith('JOULUPÄIVÄ\n'));
+
+    const missing = routes.get('/api/v1/holy-day/:slug')({ params: { slug: 'bad-slug' }, query: {}, format: 'txt' });
+    assert.equal(missing[STATUS], 404);
+  });
+});
+
+// ─── HTTP Caching ───────────────────────────────────────────────────────────
+
+describe('HTTP caching', () => {
+  it('derives a strong ETag from the body', () => {
+    const a = cacheHeaders('{"a":1}', 'long');
+    assert.match(a.ETag, /^"[\w-]+"$/);
+    assert.equal(cacheHeaders('{"a":1}').ETag, a.ETag);
+    assert.notEqual(cacheHeaders('{"a":2}').ETag, a.ETag);
+  });
+
+  it('caches dates and years long and today briefly', () => {
+    const registry = registerRoutes({ get: () => {} });
+    const cacheOf = (pattern) => registry.find(r => r.pattern === pattern).schema.cache;
+    assert.equal(cacheOf('/api/v1/date/:date'), 'long');
+    assert.equal(cacheOf('/api/v1/year/:year/calendar'), 'long');
+    assert.equal(cacheOf('/api/v1/today'), 'short');
+
+    assert.equal(cacheHeaders('x', 'long')['Cache-Control'], CACHE_CONTROL.long);
+    assert.ok(cacheHeaders('x', 'long')['Last-Modified']);
+    assert.equal(cacheHeaders('x', 'short')['Last-Modified'], undefined);
+  });
+
+  it('answers If-None-Match and If-Modified-Since', () => {
+    const headers = cacheHeaders('body', 'long');
+    assert.ok(isNotModified({ 'if-none-match': headers.ETag }, headers));
+    assert.ok(isNotModified({ 'if-none-match': `"other", W/${headers.ETag}` }, headers));
+    assert.ok(isNotModified({ 'if-none-match': '*' }, headers));
+    assert.ok(!isNotModified({ 'if-none-match': '"other"' }, headers));
+
+    const later = new Date(Date.parse(headers['Last-Modified']) + 1000).toUTCString();
+    const earlier = new Date(Date.parse(headers['Last-Modified']) - 1000).toUTCString();
+    assert.ok(isNotModified({ 'if-modified-since': later }, headers));
+    assert.ok(!isNotModified({ 'if-modified-since': earlier }, headers));
+    // If-None-Match wins over If-Modified-Since
+    assert.ok(!isNotModified({ 'if-none-match': '"other"', 'if-modified-since': later }, headers));
+  });
+});
+
+// ─── Compression ────────────────────────────────────────────────────────────
+
+describe('Compression', () => {
+  it('negotiates brotli or gzip from Accept-Encoding', () => {
+    assert.equal(negotiateEncoding(undefined), null);
+    assert.equal(negotiateEncoding('gzip, deflate, br'), 'br');
+    assert.equal(negotiateEncoding('gzip'), 'gzip');
+    assert.equal(negotiateEncoding('gzip;q=1, br;q=0.5'), 'gzip');
+    assert.equal(negotiateEncoding('br;q=0, *'), 'gzip');
+    assert.equal(negotiateEncoding('*;q=0'), null);
+    assert.equal(negotiateEncoding('identity'), null);
+  });
+
+  it('compresses bodies that decompress to the original', () => {
+    const body = JSON.stringify(resolveDate('2026-04-05'), null, 2);
+    const gzipped = compress(body, 'gzip');
+    const brotli = compress(body, 'br');
+    assert.ok(brotli.length < body.length / 2);
+    assert.equal(gunzipSync(gzipped).toString(), body);
+    assert.equal(brotliDecompressSync(brotli).toString(), body);
+  });
+
+  it('gives each content coding its own ETag', () => {
+    const plain = cacheHeaders('body').ETag;
+    assert.equal(cacheHeaders('body', 'default', 'gzip').ETag, plain.replace(/"$/, '-gzip"'));
+    assert.notEqual(cacheHeaders('body', 'default', 'br').ETag, plain);
+  });
+
+  it('accepts ?pretty= on JSON routes only', () => {
+    const routes = collectRoutes();
+    const invalid = routes.get('/api/v1/date/:date')({ params: { date: '2026-04-05' }, query: { pretty: 'no' } });
+    assert.equal(invalid[STATUS], 400);
+    assert.equal(invalid.error.details.parameter, 'pretty');
+    const compact = routes.get('/api/v1/date/:date')({ params: { date: '2026-04-05' }, query: { pretty: 'false' } });
+    assert.equal(compact.date, '2026-04-05');
+
+    const registry = registerRoutes({ get: () => {} });
+    const queryOf = (pattern) => registry.find(r => r.pattern === pattern).schema.query || [];
+    assert.ok(queryOf('/api/v1/today').some(p => p.name === 'pretty'));
+    assert.ok(!queryOf('/api/v1/calendar.ics').some(p => p.name === 'pretty'));
+  });
+});
+
 // ─── Data Loading ───────────────────────────────────────────────────────────
 
 describe('Data loading', () => {